@@ -1,11 +1,31 @@
 /**
- * A queue of expressions to run as soon as an async slot opens up.
+ * A queue of expressions to run as soon as an async slot opens up, with the
+ * latest values they were queued with.
  */
-const queueStack = new Set();
+const queueStack = new Map();
 /**
  * A stack of functions to run on the next tick.
  */
 const nextTicks = new Set();
+/**
+ * The ways a flush of the queue can be scheduled.
+ */
+const schedulers = {
+    microtask: (flush) => queueMicrotask(flush),
+    animationFrame: (flush) => typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame(() => flush())
+        : setTimeout(flush),
+    sync: (flush) => flush(),
+};
+/**
+ * Passes over the queue in one flush before giving up on watchers that keep
+ * re-queuing each other.
+ */
+const MAX_FLUSH_PASSES = 100;
+let scheduler = schedulers.microtask;
+let flushScheduled = false;
+let flushing = false;
+let batchDepth = 0;
 /**
  * Adds the ability to listen to the next tick.
  * @param  {CallableFunction} fn?
@@ -28,6 +48,73 @@ function nextTick(fn) {
     });
     return p;
 }
+/**
+ * Choose how queued watchers are run: "microtask" (the default) after the
+ * current task, "animationFrame" before the next paint or "sync" as soon as
+ * a dependency changes. A function receiving the flush callback can be given
+ * as a custom scheduler.
+ * @param  {string|CallableFunction} mode
+ */
+function setScheduler(mode) {
+    const next = typeof mode === 'function' ? mode : schedulers[mode];
+    if (!next)
+        throw new TypeError(`Unknown scheduler: ${mode}`);
+    scheduler = next;
+}
+/**
+ * Run every queued watcher now, including those queued while flushing, then
+ * resolve any pending `nextTick()` calls.
+ */
+function flush() {
+    flushScheduled = false;
+    if (flushing)
+        return;
+    flushing = true;
+    let pass = 0;
+    try {
+        for (; queueStack.size && pass < MAX_FLUSH_PASSES; pass++) {
+            // copy the current queue and clear it to allow new items to be added
+            // during the execution of the current queue.
+            const queue = Array.from(queueStack);
+            queueStack.clear();
+            queue.forEach(([fn, [newValue, oldValue]]) => fn(newValue, oldValue));
+        }
+    }
+    finally {
+        flushing = false;
+    }
+    if (queueStack.size) {
+        // Watchers that keep re-queuing each other form a cycle, running them
+        // again later would only spin forever, so they are dropped
+        console.error(`Reactive watchers are still updating after ${pass} passes, dropping ${queueStack.size} of them`);
+        queueStack.clear();
+    }
+    const ticks = Array.from(nextTicks);
+    nextTicks.clear();
+    ticks.forEach((fn) => fn());
+}
+function scheduleFlush() {
+    if (flushScheduled || flushing || batchDepth)
+        return;
+    flushScheduled = true;
+    scheduler(flush);
+}
+/**
+ * Run a function that mutates reactive data, coalescing the changes so each
+ * affected watcher runs once, synchronously, when the outermost batch ends.
+ * @param  {CallableFunction} fn
+ * @returns unknown the return value of fn
+ */
+function batch(fn) {
+    batchDepth++;
+    try {
+        return fn();
+    }
+    finally {
+        if (!--batchDepth)
+            flush();
+    }
+}
 function isTpl(template) {
     return typeof template === 'function' && !!template.isT;
 }
@@ -41,35 +128,22 @@ function isReactiveFunction(fn) {
     return '$on' in fn;
 }
 /**
- * Queue an item to execute after all synchronous functions have been run. This
- * is used for `w()` to ensure multiple dependency mutations tracked on the
- * same expression do not result in multiple calls.
+ * Queue an item to execute when the scheduler next flushes, after all
+ * synchronous functions have been run by default. This is used for `w()` to
+ * ensure multiple dependency mutations tracked on the same expression do not
+ * result in multiple calls.
  * @param  {CallableFunction} fn
  * @returns ObserverCallback
  */
 function queue(fn) {
     return (newValue, oldValue) => {
-        function executeQueue() {
-            // copy the current queues and clear it to allow new items to be added
-            // during the execution of the current queue.
-            const queue = Array.from(queueStack);
-            queueStack.clear();
-            const ticks = Array.from(nextTicks);
-            nextTicks.clear();
-            queue.forEach((fn) => fn(newValue, oldValue));
-            ticks.forEach((fn) => fn());
-            if (queueStack.size) {
-                // we received new items while executing the queue, so we need to
-                // execute the queue again.
-                setTimeout(executeQueue);
-            }
-        }
-        if (!queueStack.size) {
-            setTimeout(executeQueue);
-        }
-        queueStack.add(fn);
+        queueStack.set(fn, [newValue, oldValue]);
+        scheduleFlush();
     };
 }
+/**
+ * Durations recorded by `measure()`, in milliseconds, by name.
+ */
 const measurements = {};
 
 /**
@@ -78,57 +152,30 @@ const measurements = {};
 const dependencyCollector = new Map();
 /**
  * Given a data object, often an object literal, return a proxy of that object
- * with mutation observers for each property.
+ * with mutation observers for each property. Maps and Sets get observers for
+ * each of their entries instead.
  *
  * @param  {DataSource} data
  * @returns ReactiveProxy
  */
 function r(data, state = {}) {
-    // If this is already reactive or a non object, just return it.
-    if (isR(data) || typeof data !== 'object')
+    // If this is already reactive or a non object, just return it. Dates are
+    // treated as values, replace them rather than calling their setters.
+    if (isR(data) || typeof data !== 'object' || data === null || data instanceof Date)
         return data;
-    // This is the observer registry itself, with properties as keys and callbacks as watchers.
-    const observers = state.o || new Map();
-    // This is a reverse map of observers with callbacks as keys and properties that callback is watching as values.
-    const observerProperties = state.op || new Map();
+    if (data instanceof Map || data instanceof Set)
+        return collection(data, state);
+    const { observers, observerProperties, $on, $off, _em } = observable(state);
     // If the data is an array, we should know...but only once.
     const isArray = Array.isArray(data);
     const children = [];
     const proxySource = isArray ? [] : Object.create(data, {});
     for (const property in data) {
-        const entry = data[property];
-        if (typeof entry === 'object' && entry !== null) {
-            proxySource[property] = !isR(entry) ? r(entry) : entry;
+        const entry = r(data[property]);
+        proxySource[property] = entry;
+        if (isR(entry))
             children.push(property);
-        }
-        else {
-            proxySource[property] = entry;
-        }
     }
-    // The add/remove dependency function(s)
-    const dep = (a) => (p, c) => {
-        let obs = observers.get(p);
-        let props = observerProperties.get(c);
-        if (!obs) {
-            obs = new Set();
-            observers.set(p, obs);
-        }
-        if (!props) {
-            props = new Set();
-            observerProperties.set(c, props);
-        }
-        obs[a](c);
-        props[a](p);
-    };
-    // Add a property listener
-    const $on = dep('add');
-    // Remove a property listener
-    const $off = dep('delete');
-    // Emit a property mutation event by calling all sub-dependencies.
-    const _em = (property, newValue, oldValue) => {
-        observers.has(property) &&
-            observers.get(property).forEach((c) => c(newValue, oldValue));
-    };
     /**
      * Return the reactive proxy state data.
      */
@@ -188,6 +235,10 @@ function r(data, state = {}) {
                 newR);
                 _em(property, newR);
                 oldState.o.forEach((_c, property) => {
+                    // Collection entries can't be read as properties, so all of
+                    // their watchers are notified.
+                    if (oldState.c)
+                        return o._em(property, newR);
                     const oldValue = Reflect.get(old, property);
                     const newValue = Reflect.get(newR, property);
                     if (oldValue !== newValue) {
@@ -219,6 +270,174 @@ function r(data, state = {}) {
     });
     return proxy;
 }
+/**
+ * Create the observer registry of a reactive proxy, or reuse the one in the
+ * given state, with the functions to add, remove and notify observers.
+ * @param  {ReactiveProxyState} state
+ */
+function observable(state) {
+    // This is the observer registry itself, with properties as keys and callbacks as watchers.
+    const observers = state.o || new Map();
+    // This is a reverse map of observers with callbacks as keys and properties that callback is watching as values.
+    const observerProperties = state.op || new Map();
+    // The add/remove dependency function(s)
+    const dep = (a) => (p, c) => {
+        let obs = observers.get(p);
+        let props = observerProperties.get(c);
+        if (!obs) {
+            obs = new Set();
+            observers.set(p, obs);
+        }
+        if (!props) {
+            props = new Set();
+            observerProperties.set(c, props);
+        }
+        obs[a](c);
+        props[a](p);
+    };
+    // Emit a property mutation event by calling all sub-dependencies.
+    const _em = (property, newValue, oldValue) => {
+        observers.has(property) &&
+            observers.get(property).forEach((c) => c(newValue, oldValue));
+    };
+    return {
+        observers,
+        observerProperties,
+        // Add a property listener
+        $on: dep('add'),
+        // Remove a property listener
+        $off: dep('delete'),
+        _em,
+    };
+}
+/**
+ * The dependency of everything that reads a Map or Set as a whole: its size,
+ * iteration and forEach. It changes whenever an entry is added, changed or
+ * removed.
+ */
+const ITERATE = Symbol('iterate');
+/**
+ * The reactive proxy of a Map or a Set. Reading an entry with `get()` or
+ * `has()` depends on that key only, everything else depends on the whole
+ * collection. Objects stored as Map values are made reactive like object
+ * properties are, Set members are kept as they are so membership checks keep
+ * working with the original values.
+ * @param  {Map|Set} data
+ * @param  {ReactiveProxyState} state
+ * @returns ReactiveProxy
+ */
+function collection(data, state) {
+    const { observers, observerProperties, $on, $off, _em } = observable(state);
+    const isMap = data instanceof Map;
+    const source = isMap ? new Map() : new Set(data);
+    // Nested reactive values notify the collection under their key.
+    const adopt = (key, value) => {
+        const entry = r(value);
+        if (isR(entry))
+            entry._p = [key, proxy];
+        return entry;
+    };
+    const notify = () => {
+        _em(ITERATE, proxy);
+        if (proxy._p)
+            proxy._p[1]._em(...proxy._p);
+    };
+    const changed = (key, newValue, oldValue) => {
+        _em(key, newValue, oldValue);
+        notify();
+    };
+    const iterate = (method) => (...args) => {
+        addDep(proxy, ITERATE);
+        return source[method](...args);
+    };
+    const methods = {
+        get: (key) => {
+            addDep(proxy, key);
+            return source.get(key);
+        },
+        has: (key) => {
+            addDep(proxy, key);
+            return source.has(key);
+        },
+        set: (key, value) => {
+            const old = source.get(key);
+            const had = source.has(key);
+            const entry = adopt(key, value);
+            source.set(key, entry);
+            if (!had || old !== entry)
+                changed(key, entry, old);
+            return proxy;
+        },
+        add: (value) => {
+            if (!source.has(value)) {
+                source.add(value);
+                changed(value, true, false);
+            }
+            return proxy;
+        },
+        delete: (key) => {
+            const old = isMap ? source.get(key) : true;
+            const deleted = source.delete(key);
+            if (deleted)
+                changed(key, isMap ? undefined : false, old);
+            return deleted;
+        },
+        clear: () => {
+            const entries = [...source.entries()];
+            source.clear();
+            entries.forEach(([key, value]) => _em(key, isMap ? undefined : false, isMap ? value : true));
+            if (entries.length)
+                notify();
+        },
+        forEach: (fn, thisArg) => {
+            addDep(proxy, ITERATE);
+            source.forEach((value, key) => fn.call(thisArg, value, key, proxy));
+        },
+        keys: iterate('keys'),
+        values: iterate('values'),
+        entries: iterate('entries'),
+        [Symbol.iterator]: iterate(Symbol.iterator),
+    };
+    const depProps = {
+        $on,
+        $off,
+        _em,
+        _st: () => ({
+            o: observers,
+            op: observerProperties,
+            r: source,
+            p: proxy._p,
+            c: true,
+        }),
+        _p: undefined,
+    };
+    const proxy = new Proxy(source, {
+        has(target, key) {
+            return key in depProps || key in target;
+        },
+        get(target, p) {
+            if (Reflect.has(depProps, p))
+                return Reflect.get(depProps, p);
+            if (p === 'size') {
+                addDep(proxy, ITERATE);
+                return source.size;
+            }
+            if (p in methods && (isMap ? p !== 'add' : p !== 'get' && p !== 'set'))
+                return methods[p];
+            return Reflect.get(target, p);
+        },
+        set(target, p, value) {
+            // Only the reserved properties like _p can be set, entries are set
+            // with the collection's own methods.
+            return Reflect.has(depProps, p) && Reflect.set(depProps, p, value);
+        },
+    });
+    if (state.p)
+        proxy._p = state.p;
+    if (isMap)
+        data.forEach((value, key) => source.set(key, adopt(key, value)));
+    return proxy;
+}
 /**
  * Add a property to the tracked reactive properties.
  * @param  {ReactiveProxy} proxy
@@ -291,7 +510,8 @@ function reactiveMerge(reactiveTarget, reactiveSource) {
  * those dependencies are changed.
  * @param  {CallableFunction} fn
  * @param  {CallableFunction} after?
- * @returns unknown
+ * @returns [unknown, CallableFunction] the first value and a function that
+ * stops watching.
  */
 function w(fn, after) {
     const trackingId = Symbol();
@@ -299,8 +519,11 @@ function w(fn, after) {
         dependencyCollector.set(trackingId, new Map());
     }
     let currentDeps = new Map();
+    let stopped = false;
     const queuedCallFn = queue(callFn);
     function callFn() {
+        if (stopped)
+            return;
         dependencyCollector.set(trackingId, new Map());
         const value = fn();
         const newDeps = dependencyCollector.get(trackingId);
@@ -320,10 +543,85 @@ function w(fn, after) {
         currentDeps = newDeps;
         return after ? after(value) : value;
     }
+    /**
+     * Stop watching by removing the observer from every tracked property.
+     */
+    function stop() {
+        if (stopped)
+            return;
+        stopped = true;
+        currentDeps.forEach((properties, proxy) => {
+            properties.forEach((prop) => proxy.$off(prop, queuedCallFn));
+        });
+        currentDeps = new Map();
+        if (isReactiveFunction(fn)) {
+            // eslint-disable-next-line @typescript-eslint/no-empty-function
+            fn.$on(() => { });
+        }
+    }
     // If this is a reactive function, then when the expression is updated, re-run
     if (isReactiveFunction(fn))
         fn.$on(callFn);
-    return callFn();
+    return [callFn(), stop];
+}
+/**
+ * Track the reactive dependencies of a function and cache its result until
+ * one of them changes. The returned reactive object has a read-only `value`
+ * that is only recomputed when it is read after a change, and that can itself
+ * be watched.
+ * @param  {CallableFunction} fn
+ * @returns ReactiveProxy
+ */
+function computed(fn) {
+    const proxy = r({});
+    let dirty = true;
+    let value;
+    let currentDeps = new Map();
+    const invalidate = () => {
+        if (dirty)
+            return;
+        dirty = true;
+        proxy._em('value');
+    };
+    const recompute = () => {
+        // Collect only this function's dependencies, outer watchers depend on
+        // `value` instead.
+        const outer = new Map(dependencyCollector);
+        dependencyCollector.clear();
+        const trackingId = Symbol();
+        dependencyCollector.set(trackingId, new Map());
+        try {
+            value = fn();
+        }
+        finally {
+            const newDeps = dependencyCollector.get(trackingId);
+            dependencyCollector.clear();
+            outer.forEach((tracker, id) => dependencyCollector.set(id, tracker));
+            // Only unobserve the dropped dependencies, re-adding `invalidate`
+            // to a set that is notifying it would call it again, forever
+            currentDeps.forEach((properties, dep) => {
+                const kept = newDeps.get(dep);
+                properties.forEach((prop) => {
+                    if (!kept?.has(prop))
+                        dep.$off(prop, invalidate);
+                });
+            });
+            newDeps.forEach((properties, dep) => {
+                properties.forEach((prop) => dep.$on(prop, invalidate));
+            });
+            currentDeps = newDeps;
+        }
+        dirty = false;
+    };
+    Object.defineProperty(proxy._st().r, 'value', {
+        enumerable: true,
+        get() {
+            if (dirty)
+                recompute();
+            return value;
+        },
+    });
+    return proxy;
 }
 
 /**
@@ -331,6 +629,34 @@ function w(fn, after) {
  * given node be garbage collected.
  */
 const listeners = new WeakMap();
+/**
+ * Functions that stop the expression watchers bound to a node, run when the
+ * node is removed.
+ */
+const watchers = new WeakMap();
+/**
+ * Nodes that come from the template itself rather than from rendering one of
+ * its expressions.
+ */
+const staticNodes = new WeakSet();
+/**
+ * Register a watcher stop function to run when the node is removed.
+ * @param  {Node} node
+ * @param  {CallableFunction} stop
+ */
+function addWatcher(node, stop) {
+    if (!watchers.has(node))
+        watchers.set(node, new Set());
+    watchers.get(node).add(stop);
+}
+/**
+ * Register watcher stop functions on the static nodes of a list.
+ * @param  {NodeList|Node[]} nodes
+ * @param  {CallableFunction[]} stops
+ */
+function bindStatic(nodes, stops) {
+    nodes.forEach((node) => staticNodes.has(node) && stops.forEach((stop) => addWatcher(node, stop)));
+}
 /**
  * A list of HTML templates to a HTMLTemplate element that contains instances
  * of each. This acts as a cache.
@@ -391,14 +717,29 @@ function t(strings, ...expSlots) {
     };
     const template = (el) => {
         const dom = createNodes(toString());
-        const frag = fragment(dom, { i: 0, e: expressions });
-        return el ? frag(el) : frag();
+        const exp = { i: 0, e: expressions, s: [] };
+        const frag = fragment(dom, exp);
+        // Top level expressions have no parent element to bind their watchers
+        // to, so they live as long as the mount point or the template's own
+        // static nodes, never the nodes they render themselves.
+        if (el) {
+            exp.s.forEach((stop) => addWatcher(el, stop));
+            return frag(el);
+        }
+        const nodes = frag();
+        bindStatic(nodes.childNodes, exp.s);
+        return nodes;
     };
     // If the template contains no expressions, it is 100% static so it's key
     // its own content
     template.isT = true;
-    template._k = 0;
+    template._k = undefined;
     template._h = () => [toString(), expressions, template._k];
+    /**
+     * Key the template so that, when rendered in a list, its DOM is kept and
+     * moved along with the key instead of being diffed by position. Keys must
+     * be unique within the list.
+     */
     template.key = (key) => {
         template._k = key;
         return template;
@@ -427,6 +768,7 @@ function fragment(dom, expressions) {
             fragment(node.childNodes, expressions)(node);
         }
         frag.append(node);
+        staticNodes.add(node);
         // Select lists "default" selections get out of wack when being moved around
         // inside fragments, this resets them.
         if (node instanceof HTMLOptionElement)
@@ -446,7 +788,6 @@ function fragment(dom, expressions) {
  * @returns void
  */
 function attrs(node, expressions) {
-    var _a;
     const toRemove = [];
     let i = 0;
     let attr;
@@ -455,45 +796,72 @@ function attrs(node, expressions) {
             return;
         if (attr.value !== delimiterComment)
             continue;
-        let attrName = attr.name;
+        const attrName = attr.name;
         const expression = expressions.e[expressions.i++];
         if (attrName.charAt(0) === '@') {
-            const event = attrName.substring(1);
-            node.addEventListener(event, expression);
-            if (!listeners.has(node))
-                listeners.set(node, new Map());
-            (_a = listeners.get(node)) === null || _a === void 0 ? void 0 : _a.set(event, expression);
+            listen(node, attrName.substring(1), expression);
             toRemove.push(attrName);
         }
-        else {
-            // Logic to determine if this is an IDL attribute or a content attribute
-            const isIDL = (attrName === 'value' && 'value' in node) ||
-                attrName === 'checked' ||
-                (attrName.startsWith('.') && (attrName = attrName.substring(1)));
-            w(expression, (value) => {
-                if (isIDL) {
-                    // Handle all IDL attributes, TS won’t like this since it is not
-                    // fully aware of the type we are operating on, but JavaScript is
-                    // perfectly fine with it, so we need to ignore TS here.
-                    // @ts-ignore:next-line
-                    node[attrName] = value;
-                    // Explicitly set the "value" to false remove the attribute. However
-                    // we need to be sure this is not a "Reflected" attribute, so we check
-                    // the current value of the attribute to make sure it is not the same
-                    // as the value we just set. If it is the same, it must be reflected.
-                    // so removing the attribute would remove the idl we just set.
-                    if (node.getAttribute(attrName) != value)
-                        value = false;
-                }
-                // Set a standard content attribute.
-                value !== false
-                    ? node.setAttribute(attrName, value)
-                    : (node.removeAttribute(attrName), i--);
-            });
+        else if (!bindAttribute(node, attrName, expression)) {
+            // The attribute was removed, so the next one is now at this index.
+            i--;
         }
     }
     toRemove.forEach((attrName) => node.removeAttribute(attrName));
 }
+/**
+ * Add an event listener that is removed along with the node.
+ * @param  {Element} node
+ * @param  {string} event
+ * @param  {CallableFunction} listener
+ */
+function listen(node, event, listener) {
+    var _a;
+    node.addEventListener(event, listener);
+    if (!listeners.has(node))
+        listeners.set(node, new Map());
+    (_a = listeners.get(node)) === null || _a === void 0 ? void 0 : _a.set(event, listener);
+}
+/**
+ * Watch an attribute expression and keep the attribute, or the IDL property
+ * for `value`, `checked` and `.property` names, in sync with it.
+ * @param  {Element} node
+ * @param  {string} attrName
+ * @param  {ReactiveFunction} expression
+ * @returns boolean false if the attribute was removed on the first render
+ */
+function bindAttribute(node, attrName, expression) {
+    // Logic to determine if this is an IDL attribute or a content attribute
+    const isIDL = (attrName === 'value' && 'value' in node) ||
+        attrName === 'checked' ||
+        (attrName.startsWith('.') && (attrName = attrName.substring(1)));
+    const [set, stop] = w(expression, (value) => {
+        if (isIDL) {
+            // Handle all IDL attributes, TS won’t like this since it is not
+            // fully aware of the type we are operating on, but JavaScript is
+            // perfectly fine with it, so we need to ignore TS here.
+            // @ts-ignore:next-line
+            node[attrName] = value;
+            // Explicitly set the "value" to false remove the attribute. However
+            // we need to be sure this is not a "Reflected" attribute, so we check
+            // the current value of the attribute to make sure it is not the same
+            // as the value we just set. If it is the same, it must be reflected.
+            // so removing the attribute would remove the idl we just set.
+            if (node.getAttribute(attrName) != value)
+                value = false;
+        }
+        // Set a standard content attribute.
+        if (value === false) {
+            node.removeAttribute(attrName);
+            return false;
+        }
+        node.setAttribute(attrName, value);
+        return true;
+    });
+    expression._s = stop;
+    addWatcher(node, stop);
+    return set;
+}
 /**
  * Removes DOM nodes from the dom and cleans up any attached listeners.
  * @param node - A DOM element to remove
@@ -502,14 +870,107 @@ function removeNodes(node) {
     node.forEach(removeNode);
 }
 /**
- * Removes the node from the dom and cleans up any attached listeners.
+ * Removes the node from the dom and cleans up any attached listeners and
+ * expression watchers, including those of its descendants.
  * @param node - A DOM element to remove
  */
 function removeNode(node) {
-    var _a;
     node.remove();
+    cleanupNode(node);
+}
+/**
+ * Removes listeners and stops expression watchers bound to a node and its
+ * descendants.
+ * @param node - A DOM node
+ */
+function cleanupNode(node) {
+    var _a, _b;
     (_a = listeners
         .get(node)) === null || _a === void 0 ? void 0 : _a.forEach((listener, event) => node.removeEventListener(event, listener));
+    listeners.delete(node);
+    (_b = watchers.get(node)) === null || _b === void 0 ? void 0 : _b.forEach((stop) => stop());
+    watchers.delete(node);
+    node.childNodes.forEach(cleanupNode);
+}
+/**
+ * Removes a node rendered by a template from the dom, stopping every watcher
+ * and listener bound inside it. Use this instead of `node.remove()` to tear
+ * down mounted templates.
+ * @param node - A DOM node to remove
+ */
+function dispose(node) {
+    removeNode(node);
+}
+/**
+ * Define a component, returning a function that creates an instance of it from
+ * props and slots. An instance renders `template(store, slots, props)` with a
+ * reactive store created from what `setup(props)` returns, and has `mount(el)`
+ * and `unmount()` functions.
+ *
+ * `onMount(ctx)` runs once the template is in el and may return extra hooks,
+ * like `{ pause, resume }`, that `mount()` returns along with `unmount`.
+ * `onUnmount(ctx)` runs before the rendered nodes are disposed. The context
+ * has the `store`, `props` and `el`, and helpers whose work is undone on
+ * unmount: `interval(fn, ms)` returns a `{ start, stop }` handle of a running
+ * interval, `listen(target, event, fn)` adds an event listener and
+ * `cleanup(fn)` registers any other teardown.
+ * @param  {ComponentOptions} options
+ * @returns CallableFunction
+ */
+function component({ setup, template, onMount, onUnmount }) {
+    return (props = {}, slots = {}) => {
+        const store = r((setup && setup(props)) || {});
+        const cleanups = [];
+        let nodes = null;
+        const ctx = {
+            store,
+            props,
+            el: null,
+            cleanup: (fn) => {
+                cleanups.push(fn);
+            },
+            interval: (fn, ms) => {
+                let id = null;
+                const handle = {
+                    start: () => {
+                        clearInterval(id);
+                        id = setInterval(fn, ms);
+                        return handle;
+                    },
+                    stop: () => {
+                        clearInterval(id);
+                        id = null;
+                        return handle;
+                    },
+                };
+                cleanups.push(handle.stop);
+                return handle.start();
+            },
+            listen: (target, event, fn, options) => {
+                target.addEventListener(event, fn, options);
+                cleanups.push(() => target.removeEventListener(event, fn, options));
+            },
+        };
+        const unmount = () => {
+            if (!nodes)
+                return;
+            if (onUnmount)
+                onUnmount(ctx);
+            cleanups.splice(0).forEach((fn) => fn());
+            nodes.forEach(dispose);
+            nodes = null;
+            ctx.el = null;
+        };
+        const mount = (el) => {
+            unmount();
+            const frag = template(store, slots, props)();
+            nodes = Array.from(frag.childNodes);
+            el.appendChild(frag);
+            ctx.el = el;
+            return Object.assign({}, onMount && onMount(ctx), { unmount });
+        };
+        return { store, mount, unmount };
+    };
 }
 /**
  * Given a textNode, parse the node for expressions and return a fragment.
@@ -520,6 +981,7 @@ function removeNode(node) {
  */
 function comment(node, expressions) {
     const frag = document.createDocumentFragment();
+    const parent = node.parentNode;
     node.remove();
     // At this point, we know we're dealing with some kind of reactive token fn
     const expression = expressions.e[expressions.i++];
@@ -531,7 +993,11 @@ function comment(node, expressions) {
     else {
         // This is where the *actual* reactivity takes place:
         let partialMemo;
-        frag.appendChild((partialMemo = w(expression, (value) => setNode(value, partialMemo)))());
+        const [partial, stop] = w(expression, (value) => setNode(value, partialMemo));
+        partialMemo = partial;
+        frag.appendChild(partialMemo());
+        expression._s = stop;
+        parent instanceof Element ? addWatcher(parent, stop) : expressions.s && expressions.s.push(stop);
     }
     return frag;
 }
@@ -599,6 +1065,8 @@ function createPartial(group = Symbol()) {
         }
         else {
             dom = assignDomChunks(fragment(createNodes(html), expressions)());
+            // Each chunk's expressions are torn down with the chunk's static nodes
+            chunks.forEach((chunk) => bindStatic(chunk.dom, chunk.exp.filter((e) => e._s).map((e) => e._s)));
         }
         reset();
         return dom;
@@ -619,7 +1087,7 @@ function createPartial(group = Symbol()) {
         }
         html += template;
         html += bookendComment;
-        const keyedChunk = key && keyedChunks.get(key);
+        const keyedChunk = isKeyed(key) && keyedChunks.get(key);
         const chunk = keyedChunk || {
             html: template,
             exp: localExpressions,
@@ -628,7 +1096,7 @@ function createPartial(group = Symbol()) {
             key,
         };
         chunks.push(chunk);
-        if (key) {
+        if (isKeyed(key)) {
             // Since this is a keyed chunk, we need to either add it to the
             // keyedChunks map, or we need to update the expressions in that chunk.
             keyedChunk
@@ -663,7 +1131,7 @@ function createPartial(group = Symbol()) {
             // 3. The actual HTML chunk is changed/new so we need to remove the nodes.
             // 4. We render totally new nodes using a partial.
             const prev = previousChunks[index];
-            if (chunk.key && chunk.dom.length) {
+            if (isKeyed(chunk.key) && chunk.dom.length) {
                 closeSubPartial();
                 // This is a keyed dom chunk that has already been rendered.
                 if (!prev || prev.dom !== chunk.dom) {
@@ -674,7 +1142,7 @@ function createPartial(group = Symbol()) {
                 // it is done in partial.add as soon as a keyed chunk is added to the
                 // partial.
             }
-            else if (prev && chunk.html === prev.html && !prev.key) {
+            else if (prev && chunk.html === prev.html && !isKeyed(prev.key)) {
                 // We can reuse the DOM node, and need to swap the expressions. First
                 // close out any partial chunks. Then "upgrade" the expressions.
                 closeSubPartial();
@@ -691,7 +1159,7 @@ function createPartial(group = Symbol()) {
                 }
             }
             else {
-                if (prev && chunk.html !== prev.html && !prev.key) {
+                if (prev && chunk.html !== prev.html && !isKeyed(prev.key)) {
                     // The previous chunk in this position has changed its underlying html
                     // this happens when someone is using non-reactive values in the
                     // template. We need to remove the previous nodes.
@@ -710,9 +1178,49 @@ function createPartial(group = Symbol()) {
             const next = node.nextSibling;
             node = next;
         }
+        // Remove every chunk that did not survive the update, keyed chunks that
+        // were dropped can be anywhere in the list.
+        const kept = new Set(chunks.map((chunk) => chunk.dom));
+        previousChunks.forEach((chunk) => {
+            if (kept.has(chunk.dom))
+                return;
+            toRemove.push(...chunk.dom);
+            chunk.exp.forEach(stopExpression);
+            if (isKeyed(chunk.key) && keyedChunks.get(chunk.key) === chunk)
+                keyedChunks.delete(chunk.key);
+        });
         removeNodes(toRemove);
         reset();
     };
+    /**
+     * Adopt server rendered nodes as this partial's dom instead of rendering
+     * it, starting at the given node. Every chunk is followed by a bookend.
+     * @returns the node after the last bookend
+     */
+    partial._hy = (node) => {
+        if (!chunks.length)
+            addPlaceholderChunk();
+        chunks.forEach((chunk) => {
+            const parent = node === null || node === void 0 ? void 0 : node.parentNode;
+            const before = node === null || node === void 0 ? void 0 : node.previousSibling;
+            const end = isTpl(chunk.tpl)
+                ? hydrateNodes(createNodes(chunk.html), node, { i: 0, e: chunk.exp })
+                : hydrateText(node, chunk.tpl);
+            if (!isBookend(end))
+                throw new Error('Hydration mismatch: missing the end of a rendered expression');
+            // Delimiters were removed while hydrating, so whatever is left before
+            // the bookend belongs to this chunk.
+            for (let n = before ? before.nextSibling : parent.firstChild; n !== end; n = n.nextSibling) {
+                Object.defineProperty(n, group, { value: group });
+                chunk.dom.push(n);
+            }
+            bindStatic(chunk.dom, chunk.exp.filter((e) => e._s).map((e) => e._s));
+            node = end.nextSibling;
+            end.remove();
+        });
+        reset();
+        return node;
+    };
     // What follows are internal "methods" for each partial.
     const reset = () => {
         toRemove.length = 0;
@@ -729,7 +1237,7 @@ function createPartial(group = Symbol()) {
             exp: [],
             dom: node ? [node] : [],
             tpl: t `${html}`,
-            key: 0,
+            key: undefined,
         });
     };
     /**
@@ -761,6 +1269,191 @@ function createPartial(group = Symbol()) {
     };
     return partial;
 }
+/**
+ * Escape text for use in html content or a quoted attribute.
+ * @param  {*} text
+ * @returns string
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+/**
+ * Expression slots in a template string, either a whole quoted attribute
+ * value or a delimiter in the content.
+ */
+const slotPattern = new RegExp(`\\s([^\\s"'<>/=]+)=(["'])${delimiterComment}\\2|${delimiterComment}`, 'g');
+/**
+ * Render the value of a content expression the way a partial would, each
+ * chunk followed by a bookend.
+ * @param  {unknown} value
+ * @returns string
+ */
+function renderValueToString(value) {
+    const chunks = (Array.isArray(value) ? value : [value])
+        .filter((item) => item || item === 0)
+        .map((item) => isTpl(item) ? renderToString(item) : escapeHtml(String(item)));
+    return (chunks.length ? chunks : ['<!---->'])
+        .map((chunk) => chunk + bookendComment)
+        .join('');
+}
+/**
+ * Render a template to an html string without a DOM, evaluating each of its
+ * expressions once. Content expressions are wrapped in the delimiter and
+ * bookend comments so `hydrate()` can find them again, event bindings and
+ * `.property` bindings are left out.
+ * @param  {ArrowTemplate} template
+ * @returns string
+ */
+function renderToString(template) {
+    const [html, expressions] = template._h();
+    let i = 0;
+    return html.replace(slotPattern, (slot, attrName) => {
+        const expression = expressions[i++];
+        if (!attrName)
+            return delimiterComment + renderValueToString(isTpl(expression.e) ? expression.e : expression());
+        if (attrName.charAt(0) === '@' || attrName.charAt(0) === '.')
+            return '';
+        const value = expression();
+        if (value === false)
+            return '';
+        if (attrName === 'checked')
+            return value ? ' checked' : '';
+        return ` ${attrName}="${escapeHtml(String(value))}"`;
+    });
+}
+/**
+ * Attach a template's reactivity to markup rendered by `renderToString()`
+ * inside el, reusing the existing nodes instead of creating new ones.
+ * @param  {ArrowTemplate} template
+ * @param  {Element} el
+ * @returns Element
+ */
+function hydrate(template, el) {
+    const [html, expressions] = template._h();
+    const exp = { i: 0, e: expressions, s: [] };
+    hydrateNodes(createNodes(html), el.firstChild, exp);
+    exp.s.forEach((stop) => addWatcher(el, stop));
+    return el;
+}
+/**
+ * Walk a template's nodes alongside the rendered nodes starting at `node`,
+ * binding attributes, listeners and expressions to the rendered ones.
+ * @param  {NodeList} dom - the nodes of the template
+ * @param  {Node|null} node - the first rendered node
+ * @param  {ReactiveExpressions} expressions
+ * @param  {Element} parent? - the rendered parent, unless at the top level
+ * @returns the rendered node after the last one walked
+ */
+function hydrateNodes(dom, node, expressions, parent) {
+    Array.from(dom).forEach((tplNode) => {
+        if (tplNode.nodeType === 8 && tplNode.nodeValue === delimiter) {
+            node = hydrateComment(node, expressions, parent);
+            return;
+        }
+        if (!node || node.nodeName !== tplNode.nodeName)
+            throw new Error(`Hydration mismatch: expected ${tplNode.nodeName} but found ${node ? node.nodeName : 'nothing'}`);
+        if (tplNode instanceof Element) {
+            Array.from(tplNode.attributes)
+                .filter((attr) => attr.value === delimiterComment)
+                .forEach((attr) => {
+                const expression = expressions.e[expressions.i++];
+                attr.name.charAt(0) === '@'
+                    ? listen(node, attr.name.substring(1), expression)
+                    : bindAttribute(node, attr.name, expression);
+            });
+            hydrateNodes(tplNode.childNodes, node.firstChild, expressions, node);
+        }
+        staticNodes.add(node);
+        node = node.nextSibling;
+    });
+    return node;
+}
+/**
+ * Hydrate the expression rendered after a delimiter comment.
+ * @returns the rendered node after the expression
+ */
+function hydrateComment(node, expressions, parent) {
+    if (!node || node.nodeType !== 8 || node.nodeValue !== delimiter)
+        throw new Error(`Hydration mismatch: expected an expression but found ${node ? node.nodeName : 'nothing'}`);
+    const next = node.nextSibling;
+    node.remove();
+    const expression = expressions.e[expressions.i++];
+    if (expression && isTpl(expression.e))
+        return createPartial().add(expression.e)._hy(next);
+    let partialMemo;
+    const [partial, stop] = w(expression, (value) => setNode(value, partialMemo));
+    partialMemo = partial;
+    expression._s = stop;
+    parent ? addWatcher(parent, stop) : expressions.s && expressions.s.push(stop);
+    return partial._hy(next);
+}
+/**
+ * Hydrate a text chunk, returning the node after it.
+ */
+function hydrateText(node, text) {
+    if (!node || node.nodeType !== 3)
+        throw new Error(`Hydration mismatch: expected text but found ${node ? node.nodeName : 'nothing'}`);
+    node.nodeValue = String(text);
+    return node.nextSibling;
+}
+function isBookend(node) {
+    return !!node && node.nodeType === 8 && node.nodeValue === bookend;
+}
+/**
+ * Checks if a template or chunk key was set, 0 and "" being valid keys.
+ * @param key - A template key
+ * @returns
+ */
+function isKeyed(key) {
+    return key !== undefined && key !== null;
+}
+/**
+ * Render a list of items as keyed templates, so updating the list moves the
+ * DOM of existing items into place and only renders the new ones.
+ * @param  {unknown[]} items
+ * @param  {CallableFunction} keyFn - returns a unique key for an item
+ * @param  {CallableFunction} render - returns the template of an item
+ * @returns ArrowTemplate[]
+ */
+function repeat(items, keyFn, render) {
+    const keys = new Set();
+    return items.map((item, i) => {
+        const key = keyFn(item, i);
+        if (keys.has(key))
+            throw new Error(`Duplicate key in repeat(): ${String(key)}`);
+        keys.add(key);
+        return render(item, i).key(key);
+    });
+}
+/**
+ * Time a function and record its duration in milliseconds under the given
+ * name in `measurements`.
+ * @param  {string} name
+ * @param  {CallableFunction} fn
+ * @returns unknown the return value of fn
+ */
+function measure(name, fn) {
+    const start = performance.now();
+    try {
+        return fn();
+    }
+    finally {
+        (measurements[name] || (measurements[name] = [])).push(performance.now() - start);
+    }
+}
+/**
+ * Stops the watcher of a rendered expression, if it has one.
+ * @param expression - A template expression
+ */
+function stopExpression(expression) {
+    if (expression._s)
+        expression._s();
+}
 /**
  * Checks if a given chunk is a textNode chunk.
  * @param chunk - A partial chunk
@@ -783,5 +1476,5 @@ const reactive = r;
  */
 const watch = w;
 
-export { html, measurements, nextTick, r, reactive, t, w, watch };
+export { batch, component, computed, dispose, escapeHtml, flush, html, hydrate, measure, measurements, nextTick, r, reactive, renderToString, repeat, setScheduler, t, w, watch };
 //# sourceMappingURL=index.js.map
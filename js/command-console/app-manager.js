@@ -0,0 +1,77 @@
+import { dispose } from "../arrow.js";
+const pad = (n, p = "0") => n.toString().padStart(2, p);
+/**
+ * Format a duration in milliseconds as HH:MM:SS.
+ */
+export const formatUptime = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+};
+/**
+ * Create a manager for running app instances. Apps are objects with a
+ * `mount(element)` function that renders into the given element and returns
+ * its lifecycle hooks, `{ unmount, pause, resume, status }`, all of them
+ * optional. `status()` can report an app that finished by itself as "done".
+ * Every instance is mounted into its own element inside the container, so
+ * stopping an instance removes everything it rendered and stops its watchers.
+ * The `args` it was started with are kept so it can be started again on
+ * another page, along with its original `startedAt`.
+ */
+export const createAppManager = (getContainer, now = Date.now) => {
+    const instances = new Map();
+    let nextId = 1;
+    const start = (name, app, mode = "default", { args = [], startedAt = now() } = {}) => {
+        const id = nextId++;
+        const element = document.createElement("div");
+        element.className = `app app-${name}`;
+        element.dataset.appId = String(id);
+        getContainer().appendChild(element);
+        const hooks = app.mount(element) || {};
+        const instance = {
+            id,
+            name,
+            mode,
+            args,
+            element,
+            hooks,
+            data: app.data,
+            startedAt,
+            paused: false,
+        };
+        instances.set(id, instance);
+        return instance;
+    };
+    // Instances matching an id, an app name or "all"
+    const find = (target) => {
+        if (target === "all")
+            return [...instances.values()];
+        const id = Number(target);
+        if (instances.has(id))
+            return [instances.get(id)];
+        return [...instances.values()].filter(instance => instance.name === target);
+    };
+    const stop = (instance) => {
+        instance.hooks.unmount?.();
+        dispose(instance.element);
+        instances.delete(instance.id);
+        return instance;
+    };
+    const status = (instance) => instance.hooks.status?.() === "done" ? "done" : instance.paused ? "paused" : "running";
+    const pause = (instance) => {
+        if (status(instance) === "running") {
+            instance.hooks.pause?.();
+            instance.paused = true;
+        }
+        return instance;
+    };
+    const resume = (instance) => {
+        if (status(instance) === "paused") {
+            instance.hooks.resume?.();
+            instance.paused = false;
+        }
+        return instance;
+    };
+    const uptime = (instance) => now() - instance.startedAt;
+    const list = () => [...instances.values()];
+    return { start, find, stop, pause, resume, status, uptime, list };
+};
@@ -1,29 +1,94 @@
-import { reactive, html } from "../../../js/arrow.js";
-const pad = (n, p = "0") => n.toString().padStart(2, p);
-const makeTimeFormat = (method) => date => pad(date[method]);
-const timeFormats = [
-    makeTimeFormat("getHours"),
-    makeTimeFormat("getMinutes"),
-    makeTimeFormat("getSeconds"),
-];
-const getTimeDisplays = time => timeFormats.map(format => format(time));
-const update = store => () => {
-    const [hour, min, sec] = getTimeDisplays(new Date());
-    store.display = `${hour}:${min}:${sec}`;
+import { component, html } from "../../../js/arrow.js";
+import { action, createMachine, every, interpret, state, transition } from "../../robot3/machine.js";
+const CLOCK_FLAGS = ["utc", "12h", "24h", "date", "analog"];
+const timeZones = () => (typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : []);
+/**
+ * Everything `start clock` accepts: the format flags and the known time zones.
+ */
+export const clockOptions = () => [...CLOCK_FLAGS, ...timeZones()];
+/**
+ * Parse clock arguments, any mix of `utc` or an IANA time zone name with the
+ * `12h`, `24h`, `date` and `analog` flags. Throws on an unknown time zone.
+ */
+export const parseClockMode = (args) => args.reduce((opts, arg) => {
+    const flag = arg.toLowerCase();
+    if (flag === "default" || flag === "24h")
+        return { ...opts, hour12: false };
+    if (flag === "12h")
+        return { ...opts, hour12: true };
+    if (flag === "date")
+        return { ...opts, showDate: true };
+    if (flag === "analog")
+        return { ...opts, analog: true };
+    const timeZone = flag === "utc" ? "UTC" : arg;
+    try {
+        new Intl.DateTimeFormat(undefined, { timeZone });
+    }
+    catch (e) {
+        throw new RangeError(`Unknown clock mode or time zone: ${arg}`);
+    }
+    return { ...opts, timeZone };
+}, { timeZone: undefined, hour12: false, showDate: false, analog: false });
+const createFormatters = ({ timeZone, hour12 }) => ({
+    time: new Intl.DateTimeFormat(undefined, { timeZone, hour12, hour: "2-digit", minute: "2-digit", second: "2-digit" }),
+    date: new Intl.DateTimeFormat(undefined, { timeZone, weekday: "short", year: "numeric", month: "short", day: "numeric" }),
+    parts: new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", hour: "numeric", minute: "numeric", second: "numeric" }),
+    zone: new Intl.DateTimeFormat(undefined, { timeZone, timeZoneName: "short" }),
+});
+const getPart = (parts, type) => parseInt(parts.find(part => part.type === type).value);
+const getZoneName = (formatter, date) => formatter.formatToParts(date).find(part => part.type === "timeZoneName").value;
+const zoneLabel = (timeZone, zoneName) => (!timeZone || timeZone === zoneName ? zoneName : `${timeZone} (${zoneName})`);
+const update = (store, formatters) => () => {
+    const now = new Date();
+    const parts = formatters.parts.formatToParts(now);
+    const [hour, min, sec] = ["hour", "minute", "second"].map(type => getPart(parts, type));
+    store.display = formatters.time.format(now);
+    store.date = store.showDate ? formatters.date.format(now) : "";
+    store.label = store.timeZone ? zoneLabel(store.timeZone, getZoneName(formatters.zone, now)) : "";
+    store.hourAngle = (hour % 12) * 30 + min / 2;
+    store.minuteAngle = min * 6 + sec / 10;
+    store.secondAngle = sec * 6;
 };
-export const Clock = (mode = "default", opts) => {
-    const clockStore = reactive({ display: "00:00:00", mode, ...opts });
-    const attachClock = html `<div id="clock">
-    <div id="clock-display">${() => clockStore.display}</div>
-  </div>`;
-    const startClock = (element, mode_override) => {
-        if (mode_override)
-            clockStore.mode = mode_override;
-        console.log("starting clock mode:", mode);
-        const clockInterval = setInterval(update(clockStore), 1000);
-        attachClock(element);
-        return clockInterval;
-    };
-    return [startClock, clockStore];
-};
-//# sourceMappingURL=clock.js.map
\ No newline at end of file
+const analogFace = store => html `<svg class="clock-face" viewBox="0 0 100 100" width="100" height="100">
+      <circle cx="50" cy="50" r="47" fill="none" stroke="currentColor" stroke-width="2" />
+      <line x1="50" y1="50" x2="50" y2="26" stroke="currentColor" stroke-width="4" stroke-linecap="round"
+        transform="${() => `rotate(${store.hourAngle} 50 50)`}" />
+      <line x1="50" y1="50" x2="50" y2="12" stroke="currentColor" stroke-width="2" stroke-linecap="round"
+        transform="${() => `rotate(${store.minuteAngle} 50 50)`}" />
+      <line class="clock-second-hand" x1="50" y1="55" x2="50" y2="10" stroke="#f00" stroke-width="1"
+        transform="${() => `rotate(${store.secondAngle} 50 50)`}" />
+    </svg>`;
+// Ticks every second while running, the context holds the tick function
+const clockMachine = createMachine({
+    running: state(every(1000, "tick"), transition("tick", "running", action(({ tick }) => tick())), transition("pause", "paused")),
+    paused: state(transition("resume", "running", action(({ tick }) => tick()))),
+}, (initial) => initial);
+export const Clock = component({
+    setup: ({ mode = "default", ...opts }) => ({
+        display: "00:00:00",
+        date: "",
+        label: "",
+        hourAngle: 0,
+        minuteAngle: 0,
+        secondAngle: 0,
+        mode,
+        ...opts,
+    }),
+    template: store => html `<div class="${`clock ${store.analog ? "analog" : "digital"}`}">
+    ${store.analog ? analogFace(store) : ""}
+    <div class="clock-display">${() => store.display}</div>
+    <div class="clock-date">${() => store.date}</div>
+    <div class="clock-label">${() => store.label}</div>
+  </div>`,
+    onMount: ({ store, cleanup }) => {
+        const tick = update(store, createFormatters(store));
+        tick();
+        const service = interpret(clockMachine, () => { }, { tick });
+        cleanup(() => service.stop());
+        return {
+            pause: () => service.send("pause"),
+            resume: () => service.send("resume"),
+        };
+    },
+});
+//# sourceMappingURL=clock.js.map
@@ -0,0 +1,119 @@
+// Dice notation: terms like 3d6, d20, d%, 4d6kh3, 4d6dl1, d6! or a constant,
+// joined with + and -. `adv` and `dis` are 2d20kh1 and 2d20kl1.
+const MAX_DICE = 1000;
+const MAX_EXPLOSIONS = 100;
+const SHORTHANDS = {
+    adv: "2d20kh1",
+    advantage: "2d20kh1",
+    dis: "2d20kl1",
+    disadvantage: "2d20kl1",
+};
+const DICE_TERM = /^(\d*)d(\d+|%)(!)?(?:(kh|kl|dh|dl|k)(\d+))?$/;
+const CONSTANT_TERM = /^\d+$/;
+/**
+ * A small seeded random number generator (mulberry32) returning floats in
+ * [0, 1), so rolls can be reproduced.
+ */
+export const createRng = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+const rollDie = (sides, rng) => Math.floor(rng() * sides) + 1;
+// Group each die with the rolls it exploded into, so a chain is kept or dropped as one die
+const chains = (rolls) => rolls.reduce((groups, roll, i) => {
+    if (roll.exploded)
+        groups[groups.length - 1].push(i);
+    else
+        groups.push([i]);
+    return groups;
+}, []);
+// Mark the dice that are not kept, lowest first for "kh"/"dl" and highest first for "kl"/"dh"
+const applyKeep = (rolls, keep, n) => {
+    if (!keep)
+        return rolls;
+    const groups = chains(rolls);
+    const keepHighest = keep === "k" || keep === "kh";
+    const drop = keep.startsWith("k") ? Math.max(groups.length - n, 0) : Math.min(n, groups.length);
+    const dropLowest = keepHighest || keep === "dl";
+    const dropped = groups
+        .map(group => [group.reduce((sum, i) => sum + rolls[i].value, 0), group])
+        .sort(([a], [b]) => (dropLowest ? a - b : b - a))
+        .slice(0, drop)
+        .flatMap(([, group]) => group);
+    return rolls.map((roll, i) => (dropped.includes(i) ? { ...roll, dropped: true } : roll));
+};
+const rollTerm = (term, rng) => {
+    const expression = SHORTHANDS[term] ?? term;
+    if (CONSTANT_TERM.test(expression)) {
+        const value = parseInt(expression);
+        return { expression: term, constant: true, rolls: [], subtotal: value };
+    }
+    const match = DICE_TERM.exec(expression);
+    if (!match)
+        throw new SyntaxError(`Invalid dice term: ${term}`);
+    const [, count = "", sidesText, explode, keep, keepCount] = match;
+    const dice = count === "" ? 1 : parseInt(count);
+    const sides = sidesText === "%" ? 100 : parseInt(sidesText);
+    if (dice < 1 || dice > MAX_DICE)
+        throw new RangeError(`Dice count must be between 1 and ${MAX_DICE}: ${term}`);
+    if (sides < 1)
+        throw new RangeError(`Dice need at least one side: ${term}`);
+    if (explode && sides < 2)
+        throw new RangeError(`Cannot explode a die with one side: ${term}`);
+    let rolls = [];
+    for (let i = 0; i < dice; i++) {
+        let value = rollDie(sides, rng);
+        rolls.push({ value });
+        for (let n = 0; explode && value === sides && n < MAX_EXPLOSIONS; n++) {
+            value = rollDie(sides, rng);
+            rolls.push({ value, exploded: true });
+        }
+    }
+    rolls = applyKeep(rolls, keep, parseInt(keepCount));
+    const subtotal = rolls.reduce((sum, roll) => (roll.dropped ? sum : sum + roll.value), 0);
+    return { expression: term, constant: false, rolls, subtotal };
+};
+/**
+ * Roll a dice expression, returning each signed term with its individual rolls
+ * and the total. `rng` defaults to Math.random, pass `createRng(seed)` for
+ * reproducible rolls.
+ */
+export const rollDice = (expression, rng = Math.random) => {
+    const source = expression.toLowerCase().replace(/\s+/g, "");
+    if (!source)
+        throw new SyntaxError("Missing dice expression");
+    const parts = source.split(/([+-])/);
+    if (parts[0] === "")
+        parts.shift();
+    else
+        parts.unshift("+");
+    const terms = [];
+    for (let i = 0; i < parts.length; i += 2) {
+        const [sign, term] = [parts[i], parts[i + 1]];
+        if (!term)
+            throw new SyntaxError(`Missing dice term after "${sign}"`);
+        terms.push({ sign: sign === "-" ? -1 : 1, ...rollTerm(term, rng) });
+    }
+    const total = terms.reduce((sum, term) => sum + term.sign * term.subtotal, 0);
+    return { expression: source, terms, total };
+};
+const formatRoll = (roll) => {
+    const value = roll.exploded ? `${roll.value}!` : String(roll.value);
+    return roll.dropped ? `<s>${value}</s>` : value;
+};
+/**
+ * Format a roll result as html, e.g. `[6, 5, 3, <s>1</s>] + 2 = 16`.
+ */
+export const formatDice = ({ terms, total }) => {
+    const parts = terms.map(({ sign, constant, rolls, subtotal }, i) => {
+        const value = constant ? String(subtotal) : `[${rolls.map(formatRoll).join(", ")}]`;
+        return i === 0 ? (sign < 0 ? `-${value}` : value) : `${sign < 0 ? "-" : "+"} ${value}`;
+    });
+    return `${parts.join(" ")} = <b>${total}</b>`;
+};
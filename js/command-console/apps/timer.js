@@ -1,39 +1,162 @@
-import { reactive, html } from "../../../js/arrow.js";
+import { batch, component, html } from "../../../js/arrow.js";
+import { action, createMachine, every, guard, interpret, state, transition } from "../../robot3/machine.js";
 const sec = 1000;
 const min = 60 * sec;
 const hour = 60 * min;
+const POMODORO_PHASES = [
+    { phase: "work", duration: 25 * min },
+    { phase: "break", duration: 5 * min },
+];
+export const TIMER_MODES = ["stopwatch", "countdown", "pomodoro"];
 const pad = (n, p = "0") => n.toString().padStart(2, p);
 const makeTimeFormat = (div, mod) => time => pad(Math.floor(time / div) % mod);
 const timeFormats = [
     makeTimeFormat(hour, 24),
     makeTimeFormat(min, 60),
     makeTimeFormat(sec, 60),
-    makeTimeFormat(1, 1000),
+    makeTimeFormat(10, 100),
 ];
 const getTimeDisplays = time => timeFormats.map(fn => fn(time));
+const formatTime = time => getTimeDisplays(time).join(":");
+/**
+ * Parse a duration like "5m", "90s", "1h30m" or a bare number of seconds into
+ * milliseconds, returns NaN for anything else.
+ */
+export const parseDuration = (duration = "") => {
+    const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(duration);
+    if (/^\d+$/.test(duration))
+        return parseInt(duration) * sec;
+    if (!duration || !match)
+        return NaN;
+    const [, h = 0, m = 0, s = 0] = match;
+    return h * hour + m * min + s * sec;
+};
+// Elapsed time is accumulated on pause, so only the running segment uses the clock
+const elapsed = (store, now) => store.elapsed + (store.runningSince === null ? 0 : now - store.runningSince);
+const alarm = (message) => {
+    try {
+        const audio = new AudioContext();
+        const oscillator = audio.createOscillator();
+        oscillator.frequency.value = 880;
+        oscillator.connect(audio.destination);
+        oscillator.start();
+        oscillator.stop(audio.currentTime + 0.5);
+    }
+    catch (e) {
+        console.warn("Could not play timer alarm", e);
+    }
+    if (typeof Notification !== "undefined" && Notification.permission === "granted")
+        new Notification("Timer", { body: message });
+};
+const phaseDuration = store => store.mode === "pomodoro" ? POMODORO_PHASES[store.cycle % 2].duration : store.duration;
 const update = store => () => {
-    const [hr, min, sec, ms] = getTimeDisplays((store.elapsed = Date.now() - store.start));
-    store.display = `${hr}:${min}:${sec}:${ms}`;
+    const now = Date.now();
+    const time = elapsed(store, now);
+    if (store.mode === "stopwatch") {
+        store.display = formatTime(time);
+        return;
+    }
+    const remaining = phaseDuration(store) - time;
+    if (remaining > 0) {
+        store.display = formatTime(remaining);
+        return;
+    }
+    if (store.mode === "pomodoro") {
+        alarm(`${POMODORO_PHASES[store.cycle % 2].phase} is over`);
+        store.cycle++;
+        store.phase = POMODORO_PHASES[store.cycle % 2].phase;
+        store.elapsed = 0;
+        store.runningSince = now;
+        store.display = formatTime(phaseDuration(store));
+        return;
+    }
+    store.elapsed = store.duration;
+    store.runningSince = null;
+    store.display = formatTime(0);
+    store.status = "done";
+    alarm("Countdown is over");
 };
-export const Timer = (mode = "default", opts) => {
-    const timerStore = reactive({
-        start: Date.now(),
+// Ticks while running, and stops ticking by itself once a countdown is done
+const timerMachine = createMachine("paused", {
+    paused: state(transition("resume", "running")),
+    running: state(every(100, "tick"), transition("tick", "done", guard(({ isDone }) => isDone())), transition("tick", "running", action(({ tick }) => tick())), transition("pause", "paused")),
+    done: state(transition("resume", "running")),
+}, (initial) => initial);
+export const Timer = component({
+    setup: ({ mode = "stopwatch", ...opts }) => ({
+        runningSince: null,
         elapsed: 0,
         display: "00:00:00:00",
+        status: "running",
+        laps: [],
+        cycle: 0,
+        phase: mode === "pomodoro" ? POMODORO_PHASES[0].phase : "",
+        duration: 0,
         mode,
         ...opts,
-    });
-    const attachTimer = html `<div id="timer">
-    <div id="timer-display">${() => timerStore.display}</div>
-  </div>`;
-    const startTimer = (element, mode_override) => {
-        if (mode_override)
-            timerStore.mode = mode_override;
-        console.log("starting timer mode:", timerStore.mode);
-        const timerInterval = setInterval(update(timerStore), 100);
-        attachTimer(element);
-        return timerInterval;
-    };
-    return [startTimer, timerStore];
-};
-//# sourceMappingURL=timer.js.map
\ No newline at end of file
+    }),
+    template: store => html `<div class="${() => `timer ${store.mode} ${store.phase} ${store.status}`}">
+    <div class="timer-display">${() => store.display}</div>
+    <div class="timer-status">${() => [store.phase, store.status].filter(Boolean).join(" ")}</div>
+    <ol class="timer-laps">
+      ${() => store.laps.map(lap => html `<li>${formatTime(lap.split)} (+${formatTime(lap.lap)})</li>`)}
+    </ol>
+  </div>`,
+    onMount: ({ store, cleanup }) => {
+        if (store.mode === "countdown" && typeof Notification !== "undefined" && Notification.permission === "default")
+            Notification.requestPermission();
+        const updateTimer = update(store);
+        // Render the tick right away instead of on the next flush
+        const tick = () => batch(updateTimer);
+        const service = interpret(timerMachine, () => { }, { tick, isDone: () => store.status === "done" });
+        cleanup(() => service.stop());
+        // Only running timers pause and only stopped ones resume, so the
+        // machine is never sent an event it can't take
+        const isRunning = () => service.machine.state.matches("running");
+        const pause = () => {
+            if (store.status !== "running")
+                return;
+            if (isRunning())
+                service.send("pause");
+            if (store.runningSince !== null) {
+                store.elapsed = elapsed(store, Date.now());
+                store.runningSince = null;
+            }
+            store.status = "paused";
+            tick();
+        };
+        const resume = () => {
+            if (store.status === "done")
+                return;
+            if (store.runningSince === null)
+                store.runningSince = Date.now();
+            store.status = "running";
+            if (!isRunning())
+                service.send("resume");
+        };
+        const lap = () => {
+            const split = elapsed(store, Date.now());
+            const previous = store.laps.length ? store.laps[store.laps.length - 1].split : 0;
+            store.laps = [...store.laps, { split, lap: split - previous }];
+            return split;
+        };
+        const reset = () => {
+            const running = store.runningSince !== null || store.status === "done";
+            store.elapsed = 0;
+            store.runningSince = running ? Date.now() : null;
+            store.laps = [];
+            store.cycle = 0;
+            store.phase = store.mode === "pomodoro" ? POMODORO_PHASES[0].phase : "";
+            store.status = running ? "running" : "paused";
+            if (running)
+                resume();
+            else
+                tick();
+        };
+        // A restored timer that was running keeps counting from when it started
+        resume();
+        tick();
+        return { pause, resume, lap, reset, status: () => store.status };
+    },
+});
+//# sourceMappingURL=timer.js.map
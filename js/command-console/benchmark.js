@@ -0,0 +1,40 @@
+import { dispose, flush, html, measure, measurements, reactive } from "../arrow.js";
+import { outputLine, outputLineTemplate, renderOutput } from "./output.js";
+// How each update changes the log
+const SCENARIOS = {
+    append: lines => [...lines, outputLine("result", "appended")],
+    scroll: lines => [...lines.slice(1), outputLine("result", "scrolled")],
+    reverse: lines => [...lines].reverse(),
+};
+const RENDERERS = {
+    keyed: renderOutput,
+    unkeyed: lines => lines.map(outputLineTemplate),
+};
+const benchmarkRenderer = (name, render, count) => {
+    const store = reactive({ lines: Array.from({ length: count }, (_, i) => outputLine("result", `line ${i + 1}`)) });
+    // Rendered detached from the page, so the lines never show and are gone afterwards
+    const element = document.createElement("ul");
+    try {
+        measure(`output:${name}:render`, () => html `${() => render(store.lines)}`(element));
+        Object.entries(SCENARIOS).forEach(([scenario, update]) => measure(`output:${name}:${scenario}`, () => {
+            store.lines = update(store.lines);
+            flush();
+        }));
+    }
+    finally {
+        dispose(element);
+        element.replaceChildren();
+    }
+};
+/**
+ * Time rendering a console log of `count` lines and updating it, once keyed by
+ * line id and once by position. Durations are recorded in `measurements`
+ * under `output:<keyed|unkeyed>:<step>`, the latest of each is returned.
+ */
+export const benchmarkOutput = (count = 5000) => {
+    Object.entries(RENDERERS).forEach(([name, render]) => benchmarkRenderer(name, render, count));
+    return ["render", ...Object.keys(SCENARIOS)].map(step => [
+        step,
+        ...Object.keys(RENDERERS).map(name => measurements[`output:${name}:${step}`].slice(-1)[0]),
+    ]);
+};
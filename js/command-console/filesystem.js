@@ -0,0 +1,113 @@
+import { reactive } from "../arrow.js";
+/**
+ * Resolve `path` against the `cwd` into an absolute path without a trailing
+ * slash, understanding `.`, `..` and `~` for the site root.
+ */
+export const normalizePath = (path = "", cwd = "/") => {
+    const absolute = path.startsWith("/") || path === "~" || path.startsWith("~/");
+    const parts = [];
+    for (const part of `${absolute ? "" : cwd}/${path.replace(/^~/, "")}`.split("/")) {
+        if (part === "..")
+            parts.pop();
+        else if (part && part !== ".")
+            parts.push(part);
+    }
+    return `/${parts.join("/")}`;
+};
+const collapse = (text) => text.replace(/\s+/g, " ").trim();
+// The blocks of an article as plain text, with list items on their own lines
+const textBlocks = (article) => [...article.children].flatMap(el => {
+    if (el.matches("ul, ol"))
+        return [...el.children].map((li, i) => `${el.matches("ol") ? `${i + 1}.` : "-"} ${collapse(li.textContent)}`);
+    if (el.matches("pre"))
+        return [el.textContent.replace(/\n$/, "")];
+    return [collapse(el.textContent)];
+}).filter(Boolean);
+/**
+ * Fetch a page and yield the text of its article block by block.
+ */
+export async function* readArticle(href, signal) {
+    const response = await fetch(href, { signal });
+    if (!response.ok)
+        throw new Error(`Could not load ${href}: ${response.status} ${response.statusText}`);
+    const page = new DOMParser().parseFromString(await response.text(), "text/html");
+    const article = page.querySelector("main article");
+    if (article)
+        yield* textBlocks(article);
+}
+const parentPath = (path) => path.slice(0, path.lastIndexOf("/")) || "/";
+const baseName = (path) => path.slice(path.lastIndexOf("/") + 1);
+/**
+ * A read-only filesystem over the pages and files of a site manifest. Every
+ * path with entries below it is a directory, and a directory can be a page
+ * too, like `/projects`. `state.cwd` is reactive so it can be shown in the
+ * prompt, it starts at the directory nearest to `cwd`.
+ */
+export const createFileSystem = (manifest, cwd = "/") => {
+    const entries = new Map();
+    const children = new Map([["/", new Set()]]);
+    manifest.forEach(entry => {
+        const path = normalizePath(entry.path);
+        entries.set(path, { ...entry, href: entry.path });
+        for (let child = path; child !== "/"; child = parentPath(child)) {
+            const parent = parentPath(child);
+            if (!children.has(parent))
+                children.set(parent, new Set());
+            children.get(parent).add(baseName(child));
+        }
+    });
+    const isDirectory = (path) => children.has(path);
+    let start = normalizePath(cwd);
+    while (!isDirectory(start))
+        start = parentPath(start);
+    const state = reactive({ cwd: start });
+    const resolve = (path) => normalizePath(path, state.cwd);
+    /**
+     * The entry at a path, `{ path, type, title, href, directory }`, or null.
+     */
+    const stat = (path) => {
+        const resolved = resolve(path);
+        if (!entries.has(resolved) && !isDirectory(resolved))
+            return null;
+        return { title: "", href: null, ...entries.get(resolved), path: resolved, directory: isDirectory(resolved) };
+    };
+    // Paths like `projects` are also looked up from the root, so the site's
+    // sections can be named from any page
+    const fromRoot = (path) => !/^[/~.]/.test(path);
+    /**
+     * The entry at a path from the working directory, or else from the root.
+     */
+    const find = (path = ".") => stat(path) ?? (fromRoot(path) ? stat(`/${path}`) : null);
+    const list = (path = ".") => {
+        const resolved = resolve(path);
+        if (!isDirectory(resolved))
+            throw new Error(`Not a directory: ${path}`);
+        return [...children.get(resolved)].sort().map(name => stat(normalizePath(name, resolved)));
+    };
+    const cd = (path = "~") => {
+        const resolved = resolve(path);
+        if (!isDirectory(resolved))
+            throw new Error(entries.has(resolved) ? `Not a directory: ${path}` : `No such directory: ${path}`);
+        state.cwd = resolved;
+        return resolved;
+    };
+    const candidates = (word, directoriesOnly, base) => {
+        const dir = word.slice(0, word.lastIndexOf("/") + 1);
+        try {
+            return list(`${base}${dir}` || ".")
+                .filter(entry => !directoriesOnly || entry.directory)
+                .map(entry => `${dir}${baseName(entry.path)}${entry.directory ? "/" : ""}`)
+                .filter(candidate => candidate.startsWith(word));
+        }
+        catch (e) {
+            return [];
+        }
+    };
+    // Paths starting with `word`, from the directory it names so far. With
+    // `orFromRoot` a word matching nothing there is completed like `find`.
+    const complete = (word = "", directoriesOnly = false, orFromRoot = false) => {
+        const matches = candidates(word, directoriesOnly, "");
+        return matches.length || !orFromRoot || !fromRoot(word) ? matches : candidates(word, directoriesOnly, "/");
+    };
+    return { state, resolve, stat, find, list, cd, complete };
+};
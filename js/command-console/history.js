@@ -0,0 +1,53 @@
+// Command history persisted in localStorage, oldest command first
+const HISTORY_KEY = "command-console:history";
+export const HISTORY_LIMIT = 200;
+const HISTORY_EVENT = /(^|\s)!(!|-?\d+)(?=\s|$)/g;
+export const loadHistory = () => {
+    try {
+        const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+        return Array.isArray(history) ? history : [];
+    }
+    catch (e) {
+        return [];
+    }
+};
+const saveHistory = (history) => {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    }
+    catch (e) {
+        console.warn("Could not persist command history", e);
+    }
+    return history;
+};
+/**
+ * Append a command to the stored history, skipping repeats of the last command
+ * and dropping the oldest commands past the limit.
+ */
+export const pushHistory = (command) => {
+    const history = loadHistory();
+    if (!command.trim() || history[history.length - 1] === command)
+        return history;
+    return saveHistory([...history, command].slice(-HISTORY_LIMIT));
+};
+export const clearHistory = () => saveHistory([]);
+/**
+ * Expand `!!`, `!n` (1-based) and `!-n` history events in a command line.
+ */
+export const expandHistory = (line, history = loadHistory()) => line.replace(HISTORY_EVENT, (match, space, event) => {
+    const n = event === "!" ? -1 : parseInt(event);
+    const command = n < 0 ? history[history.length + n] : history[n - 1];
+    if (command === undefined)
+        throw new Error(`!${event}: event not found`);
+    return space + command;
+});
+/**
+ * Find the newest history index before `from` whose command contains `query`.
+ */
+export const searchHistory = (history, query, from = history.length) => {
+    for (let i = Math.min(from, history.length) - 1; i >= 0; i--) {
+        if (history[i].includes(query))
+            return i;
+    }
+    return -1;
+};
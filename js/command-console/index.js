@@ -1,111 +1,557 @@
-import { html } from "../../js/arrow.js";
+import { escapeHtml, html } from "../../js/arrow.js";
 import "../../js/robot3/debug.js";
-import { Timer } from "./apps/timer.js";
-import { Clock } from "./apps/clock.js";
-const runningApps = [];
-const APPS = {
-    clock: (mode = "default") => {
-        const [startClock, clockData] = Clock(mode);
-        const clockInterval = startClock(document.getElementById("apps"));
-        runningApps.push({
-            name: "clock",
-            interval: clockInterval,
-            data: clockData,
-        });
-        return `Started clock in mode: ${mode}`;
-    },
-    timer: (mode = "default") => {
-        const [startTimer, timerData] = Timer(mode);
-        const timerInterval = startTimer(document.getElementById("apps"));
-        runningApps.push({
-            name: "timer",
-            interval: timerInterval,
-            data: timerData,
-        });
-        return `Started timer in mode: ${mode}`;
-    },
-    roll: (dice = "1d20") => {
-        const [count, sides] = dice.split("d").map(n => parseInt(n));
-        const rolls = [];
-        for (let i = 0; i < count; i++) {
-            rolls.push(Math.ceil(Math.random() * sides));
-        }
-        return `Rolling ${dice}: ${rolls.join(", ")}`;
-    },
-};
-// Interpreter constants
-const LINKS = {
-    projects: "/projects/",
-    reviews: "/reviews/",
-    thoughts: "/thoughts/",
-    about: "/about/",
-    resume: "/resume/",
-};
-const HELP_MESSAGE = `<pre>
-<b>help</b> - show this help
-<b>clear</b> - clear the terminal
-<b>close</b> | <b>&lt;esc&gt;</b> - close the terminal
-<b>start</b> [name] - start an app
-  Available apps:
-    <b>clock [mode='default']</b> - show the current time
-    <b>timer [mode='default']</b> - show a stopwatch timer
-    <b>roll [mode='1d20']</b> - roll the di(c)e
-<b>stop</b> [name] - stop an app
-<b>goto</b> [n] - navigate to any valid URL or a local page
-<b>set</b> [attr] [value] - set an attribute value on the document body
-<b>get</b> [attr] - get an attribute value from the document body
-</pre>`;
+import { Timer, TIMER_MODES, parseDuration } from "./apps/timer.js";
+import { Clock, clockOptions, parseClockMode } from "./apps/clock.js";
+import { formatDice, rollDice } from "./apps/dice.js";
+import { parseCommandLine, tokenize } from "./parser.js";
+import { clearHistory, loadHistory } from "./history.js";
+import { createAppManager, formatUptime } from "./app-manager.js";
+import { renderOutput } from "./output.js";
+import { benchmarkOutput } from "./benchmark.js";
+import { clearTrace, downloadTrace, exportTrace, isDebugging, startDebugging, stopDebugging, traceLength } from "./inspector.js";
+import { createFileSystem, readArticle } from "./filesystem.js";
+import { SITE_MANIFEST } from "./site-manifest.js";
+import { bestPassage, searchIndex, snippet } from "./search.js";
+const appManager = createAppManager(() => document.getElementById("apps") ?? document.body);
+// The working directory starts at the current page
+const fileSystem = createFileSystem(SITE_MANIFEST, globalThis.location?.pathname);
+// Command and app registries
+const COMMANDS = new Map();
+const APPS = new Map();
+/**
+ * Register a console command. `run` is called with the command's arguments and
+ * returns a message or a `msgNext` result, a Promise of one, or an async
+ * iterator whose chunks are printed as they arrive. `this.signal` aborts when
+ * the command is interrupted. `usage` and `help` describe it in the help
+ * listing and `complete` returns the candidates for the argument being
+ * completed, given the arguments before it and the word typed so far.
+ */
+export const registerCommand = (name, { run, usage = "", help = "", complete } = {}) => {
+    if (typeof run !== "function")
+        throw new TypeError(`Cannot register command without a run function: ${name}`);
+    COMMANDS.set(name, { run, usage, help, complete });
+};
+/**
+ * Register an app for the `start` command. The factory is called with the
+ * remaining `start` arguments and returns either a message, for one-shot apps,
+ * or an app with a `mount(element)` function and optional `message`, `mode` and
+ * `data` to run under the app manager. `complete` works as it does for commands.
+ */
+export const registerApp = (name, factory, { usage = "", help = "", complete } = {}) => {
+    if (typeof factory !== "function")
+        throw new TypeError(`Cannot register app without a factory function: ${name}`);
+    APPS.set(name, { factory, usage, help, complete });
+};
 const msgNext = (next, message, log) => (log && console.log(log),
     { message, next, timestamp: new Date().toLocaleString() });
-// Interpreter commands
-const COMMANDS = {
-    help: () => HELP_MESSAGE,
-    clear: () => msgNext("clear-terminal", `Console output cleared`, "Clearing console output"),
-    close: () => msgNext("close-console", "Closed console", "Closing command console"),
-    start: (app, ...args) => {
-        console.log('Starting "app":', app, args);
-        if (app in APPS)
-            return APPS[app](...args);
-        else
-            return msgNext("error", `Cannot start unknown app: ${app}`);
-    },
-    stop: app => {
-        console.log('Stopping "app":', app);
-        const appIndex = runningApps.findIndex(a => a.name === app);
-        if (appIndex > -1) {
-            clearInterval(runningApps[appIndex].interval);
-            runningApps.splice(appIndex, 1);
-            return `Stopped app: ${app}`;
-        }
-        else
-            return msgNext("error", `Cannot stop unknown app: ${app}`);
+// Body attributes set from the console are persisted so they survive navigation
+const ATTRIBUTES_KEY = "command-console:attributes";
+const ATTRIBUTE_NAME = /^[a-z_][\w.:-]*$/i;
+const loadAttributes = () => {
+    try {
+        return JSON.parse(localStorage.getItem(ATTRIBUTES_KEY)) || {};
+    }
+    catch (e) {
+        return {};
+    }
+};
+const saveAttributes = (attributes) => {
+    try {
+        localStorage.setItem(ATTRIBUTES_KEY, JSON.stringify(attributes));
+    }
+    catch (e) {
+        console.warn("Could not persist body attributes", e);
+    }
+};
+const validateAttribute = (attr) => {
+    if (!attr)
+        return "Missing attribute name";
+    if (/^on/i.test(attr))
+        return `Cannot use event handler attribute: ${escapeHtml(attr)}`;
+    if (!ATTRIBUTE_NAME.test(attr))
+        return `Invalid attribute name: ${escapeHtml(attr)}`;
+};
+/**
+ * Re-apply the body attributes persisted by the `set` command.
+ */
+export const restoreBodyAttributes = () => {
+    Object.entries(loadAttributes()).forEach(([attr, value]) => {
+        if (!validateAttribute(attr))
+            document.body.setAttribute(attr, value);
+    });
+};
+// Help is generated from the registered commands and apps
+const HELP_FOOTER = `
+<b>!n</b> | <b>!-n</b> | <b>!!</b> - re-run the nth, nth last or last command
+
+<b>&lt;up&gt;</b> | <b>&lt;down&gt;</b> - browse the command history
+<b>&lt;ctrl-r&gt;</b> - search the command history, again for older matches
+<b>&lt;tab&gt;</b> - complete commands, app names, paths and arguments
+
+<b>a ; b</b> - run a then b
+<b>a &amp;&amp; b</b> - run b only if a succeeded
+<b>a || b</b> - run b only if a failed
+<b>a | b</b> - pass the output of a as the last argument of b
+Use "quotes" or \\ to escape spaces and operators in arguments`;
+const helpLine = (name, { usage, help }) => {
+    const description = typeof help === "function" ? help() : help;
+    return `<b>${escapeHtml(name)}</b>${usage ? ` ${usage}` : ""}${description ? ` - ${description}` : ""}`;
+};
+const appsHelp = () => [
+    "start an app",
+    "  Available apps:",
+    ...[...APPS].map(([name, app]) => `    ${helpLine(name, app)}`),
+].join("\n");
+const createHelpMessage = () => `<pre>
+${[...COMMANDS].map(([name, command]) => helpLine(name, command)).join("\n")}
+${HELP_FOOTER}
+</pre>`;
+// Built-in apps
+const BUILTIN_APPS = {
+    clock: {
+        usage: "[utc|time zone] [12h|24h] [date] [analog]",
+        help: "show the current time, e.g. <b>start clock America/Los_Angeles 12h analog</b>",
+        factory: (...args) => {
+            let opts;
+            try {
+                opts = parseClockMode(args);
+            }
+            catch (e) {
+                return msgNext("error", escapeHtml(e.message));
+            }
+            const mode = args.join(" ") || "default";
+            const clock = Clock({ mode, ...opts });
+            return { mode, data: clock.store, mount: clock.mount };
+        },
+        complete: clockOptions,
     },
-    goto: link => {
-        if (LINKS[link]) {
-            location.href = LINKS[link];
-            return `Going to ${location.href}`;
-        }
-        if (link.startsWith("http")) {
-            link = link.replace(/http(s)/, "https");
+    timer: {
+        usage: "[stopwatch|countdown [duration]|pomodoro]",
+        help: "show a stopwatch, a countdown like 5m or 1h30s, or 25/5 minute pomodoro cycles",
+        factory: (mode = "stopwatch", duration) => {
+            mode = mode === "default" ? "stopwatch" : mode;
+            if (!TIMER_MODES.includes(mode))
+                return msgNext("error", `Unknown timer mode: ${escapeHtml(mode)}`);
+            const opts = {};
+            if (mode === "countdown") {
+                opts.duration = parseDuration(duration);
+                if (!(opts.duration > 0))
+                    return msgNext("error", `Invalid countdown duration: ${escapeHtml(duration ?? "")}`);
+            }
+            const timer = Timer({ mode, ...opts });
+            return { mode: duration ? `${mode} ${duration}` : mode, data: timer.store, mount: timer.mount };
+        },
+        complete: args => (args.length ? [] : TIMER_MODES),
+    },
+    roll: {
+        usage: "[dice='1d20']",
+        help: "roll the di(c)e, e.g. 2d6+3, 1d20+1d4-1, 4d6kh3, 4d6dl1, d6!, d%, adv or dis",
+        factory: (...dice) => {
+            const expression = dice.join("") || "1d20";
             try {
-                const url = new URL(link);
-                if (confirm(`Are you sure you want to go to ${url.hostname}?`)) {
-                    location.href = url.href;
-                    return `Going to ${url.hostname}`;
-                }
-                return `Cancelled going to ${url.hostname}`;
+                return `Rolling ${escapeHtml(expression)}: ${formatDice(rollDice(expression))}`;
             }
             catch (e) {
-                return msgNext("error", `Link "${link}" does not seem to be a valid URL`);
+                return msgNext("error", escapeHtml(e.message));
             }
-        }
+        },
+        complete: () => ["adv", "dis", "d%", "d4", "d6", "d8", "d10", "d12", "d20"],
     },
 };
+Object.entries(BUILTIN_APPS).forEach(([name, { factory, ...app }]) => registerApp(name, factory, app));
+// Built-in commands
+const bodyAttributeNames = () => Array.from(document.body.attributes).map(({ name }) => name);
+const instanceTargets = (args) => args.length
+    ? []
+    : ["all", ...new Set(appManager.list().flatMap(({ id, name }) => [String(id), name]))];
+// Run a manager operation on every instance matching an id, a name or "all"
+const manageInstances = (operation, verb, done) => (target) => {
+    console.log(`${done} "app":`, target);
+    const instances = target ? appManager.find(target) : [];
+    if (!instances.length)
+        return msgNext("error", `Cannot ${verb} unknown app: ${escapeHtml(target ?? "")}`);
+    instances.forEach(operation);
+    return instances.map(instance => appManager.status(instance) === "done"
+        ? `${instance.name} [${instance.id}] is done`
+        : `${done} ${instance.name} [${instance.id}]`).join("<br>");
+};
+// The search index is loaded on the first search, results are numbered for `goto`
+const SEARCH_INDEX_URL = new URL("./search-index.json", import.meta.url);
+const SEARCH_LIMIT = 10;
+let searchIndexRequest = null;
+let searchResults = [];
+// Interrupting a search drops its result but the index keeps loading for the next one
+const loadSearchIndex = () => {
+    if (!searchIndexRequest) {
+        searchIndexRequest = fetch(SEARCH_INDEX_URL)
+            .then(response => {
+            if (!response.ok)
+                throw new Error(`Could not load the search index: ${response.status} ${response.statusText}`);
+            return response.json();
+        })
+            .catch(error => {
+            searchIndexRequest = null;
+            throw error;
+        });
+    }
+    return searchIndexRequest;
+};
+const highlight = (parts) => parts.map(({ text, match }) => (match ? `<mark>${escapeHtml(text)}</mark>` : escapeHtml(text))).join("");
+const TIMER_ACTIONS = ["pause", "resume", "lap", "reset"];
+const PS_COLUMNS = ["ID", "NAME", "MODE", "STATUS", "UPTIME"];
+const formatTable = (rows) => {
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+    return rows.map(row => row.map((cell, i) => escapeHtml(String(cell).padEnd(widths[i]))).join("  ").trimEnd()).join("\n");
+};
+const BUILTIN_COMMANDS = {
+    help: {
+        usage: "[command]",
+        help: "show this help, or the help for a command",
+        run: command => {
+            if (!command)
+                return createHelpMessage();
+            if (!COMMANDS.has(command))
+                return msgNext("error", `Cannot show help for unknown command: ${escapeHtml(command)}`);
+            return `<pre>${helpLine(command, COMMANDS.get(command))}</pre>`;
+        },
+        complete: args => (args.length ? [] : [...COMMANDS.keys()]),
+    },
+    clear: {
+        help: "clear the terminal",
+        run: () => msgNext("clear-terminal", `Console output cleared`, "Clearing console output"),
+    },
+    close: {
+        usage: "| <b>&lt;esc&gt;</b>",
+        help: "close the terminal",
+        run: () => msgNext("close-console", "Closed console", "Closing command console"),
+    },
+    start: {
+        usage: "[name]",
+        help: appsHelp,
+        run: (app, ...args) => {
+            console.log('Starting "app":', app, args);
+            if (!APPS.has(app))
+                return msgNext("error", `Cannot start unknown app: ${escapeHtml(app ?? "")}`);
+            const started = APPS.get(app).factory(...args);
+            if (typeof started?.mount !== "function")
+                return started;
+            const { id, mode } = appManager.start(app, started, started.mode, { args });
+            return started.message ?? `Started ${app} [${id}] in mode: ${mode}`;
+        },
+        complete: ([app, ...args]) => app === undefined ? [...APPS.keys()] : APPS.get(app)?.complete?.(args) ?? [],
+    },
+    // Rolling mounts nothing, so it works as a plain command too, e.g. after &&
+    roll: {
+        usage: BUILTIN_APPS.roll.usage,
+        help: BUILTIN_APPS.roll.help,
+        run: BUILTIN_APPS.roll.factory,
+        complete: BUILTIN_APPS.roll.complete,
+    },
+    stop: {
+        usage: "[id|name|all]",
+        help: "stop running apps and remove them from the page",
+        run: manageInstances(appManager.stop, "stop", "Stopped"),
+        complete: instanceTargets,
+    },
+    pause: {
+        usage: "[id|name|all]",
+        help: "pause running apps",
+        run: manageInstances(appManager.pause, "pause", "Paused"),
+        complete: instanceTargets,
+    },
+    resume: {
+        usage: "[id|name|all]",
+        help: "resume paused apps",
+        run: manageInstances(appManager.resume, "resume", "Resumed"),
+        complete: instanceTargets,
+    },
+    timer: {
+        usage: "[pause|resume|lap|reset] [id]",
+        help: "control a running timer, the latest one unless an id is given",
+        run: (action, target) => {
+            const timers = appManager.find(target ?? "timer").filter(({ name }) => name === "timer");
+            const timer = timers[timers.length - 1];
+            if (!timer)
+                return msgNext("error", `Cannot find a running timer: ${escapeHtml(target ?? "")}`);
+            if ((action === "pause" || action === "resume") && appManager.status(timer) === "done")
+                return `Timer [${timer.id}] is done, <b>timer reset</b> starts it again`;
+            switch (action) {
+                case "pause":
+                    appManager.pause(timer);
+                    return `Paused timer [${timer.id}] at ${timer.data.display}`;
+                case "resume":
+                    appManager.resume(timer);
+                    return `Resumed timer [${timer.id}]`;
+                case "lap":
+                    timer.hooks.lap();
+                    return `Lap ${timer.data.laps.length} of timer [${timer.id}]`;
+                case "reset":
+                    timer.hooks.reset();
+                    return `Reset timer [${timer.id}]`;
+                default:
+                    return msgNext("error", `Unknown timer action: ${escapeHtml(action ?? "")}`);
+            }
+        },
+        complete: args => args.length
+            ? args.length === 1
+                ? appManager.list().filter(({ name }) => name === "timer").map(({ id }) => String(id))
+                : []
+            : TIMER_ACTIONS,
+    },
+    ps: {
+        help: "list the running apps",
+        run: () => {
+            const instances = appManager.list();
+            if (!instances.length)
+                return "No running apps";
+            const rows = instances.map(instance => [
+                instance.id,
+                instance.name,
+                instance.mode,
+                appManager.status(instance),
+                formatUptime(appManager.uptime(instance)),
+            ]);
+            return `<pre>${formatTable([PS_COLUMNS, ...rows])}</pre>`;
+        },
+    },
+    pwd: {
+        help: "print the working directory",
+        run: () => fileSystem.state.cwd,
+    },
+    ls: {
+        usage: "[path]",
+        help: "list the pages and files in a directory",
+        run: (path = ".") => {
+            const entry = fileSystem.find(path);
+            if (!entry)
+                return msgNext("error", `No such file or directory: ${escapeHtml(path)}`);
+            const entries = entry.directory ? fileSystem.list(entry.path) : [entry];
+            const rows = entries.map(({ path, title, directory }) => [path.slice(path.lastIndexOf("/") + 1) + (directory ? "/" : ""), title]);
+            return `<pre>${formatTable(rows)}</pre>`;
+        },
+        complete: (args, word) => (args.length ? [] : fileSystem.complete(word, false, true)),
+    },
+    cd: {
+        usage: "[path='~']",
+        help: "change the working directory, shown in the prompt",
+        run: path => {
+            try {
+                fileSystem.cd(path);
+                return "";
+            }
+            catch (e) {
+                return msgNext("error", escapeHtml(e.message));
+            }
+        },
+        complete: (args, word) => (args.length ? [] : fileSystem.complete(word, true)),
+    },
+    cat: {
+        usage: "[path]",
+        help: "print the text of a page",
+        run: async function* (path = ".") {
+            const entry = fileSystem.find(path);
+            if (!entry)
+                throw new Error(`No such file or directory: ${path}`);
+            if (entry.type === "file")
+                throw new Error(`Cannot print a binary file, use "goto ${path}" to open it`);
+            if (!entry.href)
+                throw new Error(`Is a directory: ${path}`);
+            for await (const block of readArticle(entry.href, this.signal))
+                yield escapeHtml(block);
+        },
+        complete: (args, word) => (args.length ? [] : fileSystem.complete(word, false, true)),
+    },
+    goto: {
+        usage: "[path|url|n]",
+        help: "open a page or file, the working directory by default, any valid URL or the nth search result",
+        run: (link = ".") => {
+            const result = /^\d+$/.test(link) ? searchResults[parseInt(link) - 1] : null;
+            if (result) {
+                location.href = result.doc.path;
+                return `Going to ${escapeHtml(result.doc.path)}`;
+            }
+            const entry = fileSystem.find(link);
+            if (entry?.href) {
+                location.href = entry.href;
+                return `Going to ${escapeHtml(entry.path)}`;
+            }
+            if (entry)
+                return msgNext("error", `Cannot go to a directory without a page: ${escapeHtml(entry.path)}`);
+            if (link.startsWith("http")) {
+                link = link.replace(/http(s)/, "https");
+                try {
+                    const url = new URL(link);
+                    if (confirm(`Are you sure you want to go to ${url.hostname}?`)) {
+                        location.href = url.href;
+                        return `Going to ${url.hostname}`;
+                    }
+                    return `Cancelled going to ${url.hostname}`;
+                }
+                catch (e) {
+                    return msgNext("error", `Link "${escapeHtml(link)}" does not seem to be a valid URL`);
+                }
+            }
+            return msgNext("error", `No such page: ${escapeHtml(link)}`);
+        },
+        complete: (args, word) => (args.length ? [] : fileSystem.complete(word, false, true)),
+    },
+    search: {
+        usage: "[terms]",
+        help: "search the text of the site's pages, then <b>goto n</b> opens the nth result",
+        run: async (...terms) => {
+            const query = terms.join(" ");
+            if (!query.trim())
+                return msgNext("error", "Missing search terms");
+            const results = searchIndex(await loadSearchIndex(), query, SEARCH_LIMIT);
+            searchResults = results;
+            if (!results.length)
+                return `No pages found for ${escapeHtml(query)}`;
+            const items = results.map(({ doc, terms }) => `<li><b>${escapeHtml(doc.title)}</b> <span class="search-path">${escapeHtml(doc.path)}</span><br>${highlight(snippet(bestPassage(doc, terms), terms))}</li>`);
+            return `<ol class="search-results">${items.join("")}</ol>`;
+        },
+    },
+    set: {
+        usage: "[attr] [value]",
+        help: "set an attribute value on the document body",
+        run: (attr, ...value) => {
+            const invalid = validateAttribute(attr);
+            if (invalid)
+                return msgNext("error", invalid);
+            document.body.setAttribute(attr, value.join(" "));
+            saveAttributes({ ...loadAttributes(), [attr]: value.join(" ") });
+            return `Set ${escapeHtml(attr)}="${escapeHtml(value.join(" "))}"`;
+        },
+    },
+    get: {
+        usage: "[attr]",
+        help: "get an attribute value from the document body, or all of them",
+        run: attr => {
+            if (!attr) {
+                const attributes = Array.from(document.body.attributes)
+                    .map(({ name, value }) => `<b>${escapeHtml(name)}</b>="${escapeHtml(value)}"`);
+                return attributes.length
+                    ? `<pre>${attributes.join("\n")}</pre>`
+                    : "No attributes set on the document body";
+            }
+            if (!document.body.hasAttribute(attr))
+                return msgNext("error", `Attribute is not set: ${escapeHtml(attr)}`);
+            return `${escapeHtml(attr)}="${escapeHtml(document.body.getAttribute(attr))}"`;
+        },
+        complete: args => (args.length ? [] : bodyAttributeNames()),
+    },
+    unset: {
+        usage: "[attr]",
+        help: "remove an attribute from the document body",
+        run: attr => {
+            const invalid = validateAttribute(attr);
+            if (invalid)
+                return msgNext("error", invalid);
+            const { [attr]: removed, ...attributes } = loadAttributes();
+            saveAttributes(attributes);
+            document.body.removeAttribute(attr);
+            return `Removed ${escapeHtml(attr)}`;
+        },
+        complete: args => (args.length ? [] : bodyAttributeNames()),
+    },
+    history: {
+        usage: "[-c]",
+        help: "list the command history, or clear it with -c",
+        run: flag => {
+            if (flag === "-c") {
+                clearHistory();
+                return "Cleared command history";
+            }
+            if (flag)
+                return msgNext("error", `Unknown history option: ${escapeHtml(flag)}`);
+            const history = loadHistory();
+            const width = String(history.length).length;
+            return history.length
+                ? `<pre>${history.map((command, i) => `${String(i + 1).padStart(width)}  ${escapeHtml(command)}`).join("\n")}</pre>`
+                : "No command history";
+        },
+        complete: args => (args.length ? [] : ["-c"]),
+    },
+    debug: {
+        usage: "[on|off|export|clear]",
+        help: "trace the console's state machine in an overlay and export the trace as JSON",
+        run: (option) => {
+            switch (option) {
+                case undefined:
+                    return `Debugging is ${isDebugging() ? "on" : "off"}, ${traceLength()} transitions traced`;
+                case "on":
+                    startDebugging();
+                    return "Debugging the console state machine";
+                case "off":
+                    stopDebugging();
+                    return "Stopped debugging";
+                case "export":
+                    return downloadTrace()
+                        ? `Exported ${traceLength()} transitions to machine-trace.json`
+                        : `<pre>${escapeHtml(exportTrace())}</pre>`;
+                case "clear":
+                    clearTrace();
+                    return "Cleared the transition trace";
+                default:
+                    return msgNext("error", `Unknown debug option: ${escapeHtml(option)}`);
+            }
+        },
+        complete: args => (args.length ? [] : ["on", "off", "export", "clear"]),
+    },
+    benchmark: {
+        usage: "[lines]",
+        help: "time keyed and unkeyed rendering of a console log, 5000 lines by default",
+        run: (lines = "5000") => {
+            const count = parseInt(lines);
+            if (!(count > 0))
+                return msgNext("error", `Invalid number of lines: ${escapeHtml(lines)}`);
+            const rows = benchmarkOutput(count).map(([step, ...times]) => [step, ...times.map(ms => `${ms.toFixed(1)}ms`)]);
+            return `<pre>${formatTable([["STEP", "KEYED", "UNKEYED"], ...rows])}</pre>`;
+        },
+    },
+    sleep: {
+        usage: "[seconds=1]",
+        help: "wait before running the next command, <b>ctrl-c</b> interrupts it",
+        run(seconds = "1") {
+            const ms = parseFloat(seconds) * 1000;
+            if (!(ms >= 0))
+                return msgNext("error", `Invalid number of seconds: ${escapeHtml(seconds)}`);
+            const { signal } = this;
+            return new Promise(resolve => {
+                const id = setTimeout(() => resolve(`Slept for ${escapeHtml(seconds)}s`), ms);
+                signal?.addEventListener("abort", () => clearTimeout(id));
+            });
+        },
+    },
+};
+Object.entries(BUILTIN_COMMANDS).forEach(([name, command]) => registerCommand(name, command));
+// App sessions
+/**
+ * The running apps as plain data, enough for `restoreApps` to start them again
+ * with the same arguments and state on another page.
+ */
+export const snapshotApps = () => appManager.list().map(({ name, args, paused, startedAt, data }) => ({
+    name,
+    args,
+    paused,
+    startedAt,
+    data: data ? JSON.parse(JSON.stringify(data)) : null,
+}));
+export const restoreApps = (apps = []) => apps.forEach(({ name, args = [], paused, startedAt, data }) => {
+    const started = APPS.get(name)?.factory(...args);
+    if (typeof started?.mount !== "function")
+        return;
+    if (data && started.data)
+        Object.assign(started.data, data);
+    const instance = appManager.start(name, started, started.mode, { args, startedAt });
+    if (paused)
+        appManager.pause(instance);
+});
 // Interpreters
-export const commandConsoleInterpreter = (message, ...args) => {
-    if (message in COMMANDS) {
+// Called with `this` holding the `signal` commands are interrupted with
+export const commandConsoleInterpreter = function (message, ...args) {
+    if (COMMANDS.has(message)) {
         try {
-            return COMMANDS[message](...args);
+            return COMMANDS.get(message).run.apply(this, args);
         }
         catch (error) {
             throw error;
@@ -115,24 +561,155 @@ export const commandConsoleInterpreter = (message, ...args) => {
         throw new Error(`Cannot run unknown command: ${message}`);
     }
 };
+const isFailure = (result) => typeof result === "object" && result !== null && result.next === "error";
+const outputText = (result) => typeof result === "object" && result !== null ? result.message : result;
+// Settle like the promise, or reject with the signal's reason as soon as it aborts
+const abortable = (promise, signal) => new Promise((resolve, reject) => {
+    const abort = () => reject(signal.reason);
+    if (signal?.aborted)
+        return abort();
+    signal?.addEventListener("abort", abort, { once: true });
+    Promise.resolve(promise)
+        .then(resolve, reject)
+        .finally(() => signal?.removeEventListener("abort", abort));
+});
+const isStream = (result) => typeof result?.[Symbol.asyncIterator] === "function";
+// Read a streamed result chunk by chunk, returning all of it as one message
+const readStream = async (stream, signal, onChunk) => {
+    const iterator = stream[Symbol.asyncIterator]();
+    const chunks = [];
+    try {
+        for (;;) {
+            const { value, done } = await abortable(iterator.next(), signal);
+            if (done)
+                break;
+            chunks.push(String(value));
+            onChunk?.(String(value));
+        }
+    }
+    finally {
+        if (signal?.aborted)
+            iterator.return?.();
+    }
+    return chunks.join("\n");
+};
+// Run each command of a pipeline, passing the previous output as the last
+// argument. Only the last command streams its output, the others are read in
+// full to be piped.
+const runPipeline = async (pipeline, interpreter, { signal, onOutput } = {}) => {
+    let piped;
+    for (const [i, [message, ...args]] of pipeline.entries()) {
+        if (i && isFailure(piped))
+            return piped;
+        if (i)
+            args.push(String(outputText(piped) ?? ""));
+        const last = i === pipeline.length - 1;
+        try {
+            const result = interpreter.call({ signal }, message, ...args);
+            if (!isStream(result))
+                piped = await abortable(result, signal);
+            else if (last && onOutput) {
+                await readStream(result, signal, onOutput);
+                piped = undefined;
+            }
+            else
+                piped = await readStream(result, signal);
+        }
+        catch (error) {
+            if (signal?.aborted)
+                throw error;
+            piped = msgNext("error", escapeHtml(error.message));
+        }
+    }
+    return piped;
+};
+/**
+ * Run a full command line, `;` always runs the next pipeline while `&&` and `||`
+ * run it depending on whether the last pipeline returned an "error" result.
+ * Resolves with the result of every pipeline that ran, streamed output is
+ * passed to `onOutput` instead. Rejects once `signal` aborts.
+ */
+export const runCommandLine = async (line, interpreter = commandConsoleInterpreter, { signal, onOutput } = {}) => {
+    const results = [];
+    let failed = false;
+    for (const { op, pipeline } of parseCommandLine(line)) {
+        if ((op === "&&" && failed) || (op === "||" && !failed))
+            continue;
+        const result = await runPipeline(pipeline, interpreter, { signal, onOutput });
+        failed = isFailure(result);
+        results.push(result);
+    }
+    return results;
+};
+const commonPrefix = (words) => words.reduce((prefix, word) => {
+    let i = 0;
+    while (i < prefix.length && prefix[i] === word[i])
+        i++;
+    return prefix.slice(0, i);
+});
+/**
+ * Complete the word before the cursor, the command name in the first position
+ * or an argument from the command's completer after it. Returns the new line
+ * and cursor, plus every candidate when the match is ambiguous.
+ */
+export const completeCommandLine = (line, cursor = line.length) => {
+    const before = line.slice(0, cursor);
+    const word = before.match(/[^\s;|&]*$/)[0];
+    const unchanged = { line, cursor, matches: [] };
+    if (/["'\\]/.test(word))
+        return unchanged;
+    let tokens;
+    try {
+        tokens = tokenize(before.slice(0, before.length - word.length));
+    }
+    catch (e) {
+        return unchanged;
+    }
+    const operator = tokens.map(token => token.type).lastIndexOf("operator");
+    const [command, ...args] = tokens.slice(operator + 1).map(token => token.value);
+    const candidates = command === undefined
+        ? [...COMMANDS.keys()]
+        : COMMANDS.get(command)?.complete?.(args, word) ?? [];
+    const matches = candidates.filter(candidate => candidate.startsWith(word)).sort();
+    if (!matches.length)
+        return unchanged;
+    // Completing a directory leaves the cursor on the path to keep going
+    const space = /^\s/.test(line.slice(cursor)) || matches[0].endsWith("/") ? "" : " ";
+    const completion = matches.length === 1 ? matches[0] + space : commonPrefix(matches);
+    const completed = before.slice(0, before.length - word.length) + completion;
+    return {
+        line: completed + line.slice(cursor),
+        cursor: completed.length,
+        matches: matches.length === 1 ? [] : matches,
+    };
+};
+// Wrap the first occurrence of the query in a <mark>
+const highlightMatch = (text, query) => {
+    const i = query ? text.indexOf(query) : -1;
+    return i < 0
+        ? escapeHtml(text)
+        : `${escapeHtml(text.slice(0, i))}<mark>${escapeHtml(query)}</mark>${escapeHtml(text.slice(i + query.length))}`;
+};
 // Command Console Template
-export const createCommandConsoleTemplate = (consoleId, inputId, outputId, store, handleKeyup) => {
+export const createCommandConsoleTemplate = (consoleId, inputId, outputId, store, handleKeyup, handleKeydown) => {
     return html `<div
   id="${consoleId}"
   class="${() => store.mode}">
   <h5>Test: ${() => store.test}</h5>
   <ul id="${outputId}">
-    ${() => store.output.map(line => html `<li class="${line.type}">
-          <span class="timestamp">${line.timestamp}</span>
-          ${line.display}
-        </li>`)}
+    ${() => renderOutput([...store.output, ...store.pending])}
   </ul>
-  <div id="prompt">
+  ${() => store.search
+        ? html `<div class="reverse-search">(reverse-i-search)'${escapeHtml(store.search.query)}': ${highlightMatch(store.search.match, store.search.query)}</div>`
+        : ""}
+  <div id="prompt" aria-busy="${() => String(store.mode === "evaluating")}">
+    <span class="cwd">${() => fileSystem.state.cwd}</span>
     <input
       autocomplete="off"
       id="${inputId}"
       type="text"
-      @keyup="${handleKeyup}" />
+      @keyup="${handleKeyup}"
+      @keydown="${handleKeydown}" />
   </div>
 </div>`;
 };
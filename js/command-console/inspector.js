@@ -0,0 +1,116 @@
+import { d } from "../robot3/machine.js";
+import { dispose, html, reactive, repeat } from "../arrow.js";
+// Transitions kept in the trace and shown in the overlay
+const TRACE_LIMIT = 500;
+const OVERLAY_LIMIT = 20;
+const INSPECTOR_ID = "machine-inspector";
+// Machines are traced under the name they were registered with
+const inspected = new Map();
+const store = reactive({ enabled: false, current: "", count: 0, entries: [] });
+let trace = [];
+let nextEntryId = 1;
+let previousHook;
+let overlay = null;
+/**
+ * A short, serializable description of a context value for diffs.
+ */
+export const describe = (value) => {
+    if (value === null || value === undefined || typeof value === "number" || typeof value === "boolean")
+        return String(value);
+    if (typeof value === "string")
+        return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}…` : value);
+    if (typeof value === "function")
+        return "ƒ";
+    if (Array.isArray(value))
+        return `[${value.length} items]`;
+    if (typeof Node !== "undefined" && value instanceof Node)
+        return `<${value.nodeName.toLowerCase()}${value.id ? `#${value.id}` : ""}>`;
+    return `{${Object.keys(value).join(", ")}}`;
+};
+/**
+ * The context keys whose values changed, with their described values.
+ */
+export const diffContext = (before = {}, after = {}) => Object.fromEntries([...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => before[key] !== after[key])
+    .map(key => [key, { from: describe(before[key]), to: describe(after[key]) }]));
+/**
+ * Register a machine so its transitions are traced while debugging is on.
+ */
+export const inspectMachine = (machine, name) => inspected.set(machine, name);
+const record = (machine, to, context, previousContext, event) => {
+    const name = inspected.get(machine.original || machine);
+    if (!name)
+        return;
+    const entry = {
+        id: nextEntryId++,
+        at: new Date().toISOString(),
+        machine: name,
+        from: machine.current,
+        to,
+        event: typeof event === "string" ? event : event?.type ?? "",
+        diff: diffContext(previousContext, context),
+    };
+    trace = [...trace, entry].slice(-TRACE_LIMIT);
+    store.current = `${name}: ${to}`;
+    store.count = trace.length;
+    store.entries = trace.slice(-OVERLAY_LIMIT);
+};
+const formatDiff = diff => Object.entries(diff)
+    .map(([key, { from, to }]) => `${key}: ${from} → ${to}`)
+    .join("\n");
+// State names, events and context values are rendered as text, never as html
+const entryTemplate = entry => html `<li>
+      <code>${() => entry.from}</code> → <code>${() => entry.to}</code> on <b>${() => entry.event || "enter"}</b>
+      <pre>${() => formatDiff(entry.diff)}</pre>
+    </li>`;
+const overlayTemplate = () => html `<div id="${INSPECTOR_ID}">
+  <header>${() => store.current || "No transitions yet"} <small>${() => `${store.count} traced`}</small></header>
+  <ol>${() => repeat(store.entries, entry => entry.id, entryTemplate)}</ol>
+</div>`;
+export const isDebugging = () => store.enabled;
+export const traceLength = () => trace.length;
+/**
+ * Trace every transition of the inspected machines through `d._onEnter` and
+ * show them in an overlay, calling any hook that was already set.
+ */
+export const startDebugging = (root = document.body) => {
+    if (store.enabled)
+        return;
+    previousHook = d._onEnter;
+    d._onEnter = (...args) => {
+        previousHook?.(...args);
+        record(...args);
+    };
+    store.enabled = true;
+    overlay = document.createElement("div");
+    overlayTemplate()(overlay);
+    root.appendChild(overlay);
+};
+export const stopDebugging = () => {
+    if (!store.enabled)
+        return;
+    d._onEnter = previousHook;
+    previousHook = undefined;
+    store.enabled = false;
+    dispose(overlay);
+    overlay = null;
+};
+export const clearTrace = () => {
+    trace = [];
+    store.current = "";
+    store.count = 0;
+    store.entries = [];
+};
+export const exportTrace = () => JSON.stringify(trace, null, 2);
+/**
+ * Download the trace as a JSON file, where the browser supports it.
+ */
+export const downloadTrace = (filename = "machine-trace.json") => {
+    if (typeof URL.createObjectURL !== "function")
+        return false;
+    const url = URL.createObjectURL(new Blob([exportTrace()], { type: "application/json" }));
+    const link = Object.assign(document.createElement("a"), { href: url, download: filename });
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+};
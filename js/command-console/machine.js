@@ -1,8 +1,18 @@
-import { commandConsoleInterpreter, } from "./index.js";
+import { createMachine, interpret, state, transition, immediate, reduce, action, guard, } from "../robot3/machine.js";
+import { createSwitchState, doThenElse, reduceSetKeyValue, } from "../robot-utils.js";
+import { escapeHtml, reactive } from "../arrow.js";
+import { commandConsoleInterpreter, completeCommandLine, createCommandConsoleTemplate, restoreApps, runCommandLine, snapshotApps, } from "./index.js";
+import { expandHistory, loadHistory, pushHistory, searchHistory } from "./history.js";
+import { outputLine, restoreOutput } from "./output.js";
+import { inspectMachine } from "./inspector.js";
 // Terminal constants
 const TERMINAL_ID = "terminal";
 const PROMPT_ID = "terminal-input";
 const TERMINAL_OUTPUT_ID = "terminal-output";
+const TOGGLE_KEY = "`";
+const SESSION_KEY = "command-console:session";
+// Signals that win over the last result's `next` when several commands ran
+const SIGNALS = ["close-console", "clear-terminal"];
 const initialTerminalContext = {
     terminalInput: null,
     console: null,
@@ -11,10 +21,298 @@ const initialTerminalContext = {
     output: [],
     history: [],
     historyIndex: 0,
+    draft: "",
+    cursor: 0,
+    search: null,
     data: null,
     next: null,
     error: null,
     test: "Init",
-    debug: false,
 };
-//# sourceMappingURL=machine.js.map
\ No newline at end of file
+// Output helpers
+// Normalize whatever a command returned into a `msgNext` shaped result
+const toResult = (result) => typeof result === "object" && result !== null
+    ? result
+    : { message: result, next: null, timestamp: new Date().toLocaleString() };
+const resultLines = (results) => results
+    .filter(result => result.message)
+    .map(result => outputLine(result.next === "error" ? "error" : "result", result.message, result.timestamp));
+const nextSignal = (results) => SIGNALS.find(signal => results.some(result => result.next === signal)) ??
+    results[results.length - 1]?.next ??
+    null;
+// Only the results of commands run after the last `clear` survive it
+const afterLastClear = (results) => results.slice(results.map(result => result.next).lastIndexOf("clear-terminal") + 1);
+// Invoked functions
+const mountConsole = async (ctx) => {
+    const { store, root, handleKeyup, handleKeydown } = ctx;
+    const frag = createCommandConsoleTemplate(TERMINAL_ID, PROMPT_ID, TERMINAL_OUTPUT_ID, store, handleKeyup, handleKeydown)();
+    const consoleElement = frag.firstElementChild;
+    root.appendChild(frag);
+    const terminalInput = document.getElementById(PROMPT_ID);
+    terminalInput.focus();
+    return { console: consoleElement, terminalInput };
+};
+// The running command and its streamed output are shown from the store's
+// pending lines until the results are rendered
+const evaluateInput = async (ctx, evt, signal) => {
+    const { store } = ctx;
+    const input = expandHistory(ctx.input, ctx.history);
+    pushHistory(input);
+    store.pending = [outputLine("command", escapeHtml(input))];
+    const onOutput = (chunk) => {
+        if (!signal.aborted)
+            store.pending = [...store.pending, outputLine("result", chunk)];
+    };
+    const results = (await runCommandLine(input, ctx.interpreter, { signal, onOutput })).map(toResult);
+    return { input, data: results, next: nextSignal(results) };
+};
+// Reducers
+const reduceSubmit = reduce((ctx, evt) => ({
+    ...ctx,
+    input: evt.input,
+    data: null,
+    next: null,
+    error: null,
+}));
+const reduceAppendOutput = reduce((ctx) => {
+    const { input, data, error, store } = ctx;
+    const lines = store.pending.length ? [...store.pending] : [outputLine("command", escapeHtml(input))];
+    if (error)
+        lines.push(outputLine("error", escapeHtml(error.message)));
+    else if (data)
+        lines.push(...resultLines(data));
+    // Commands like `history -c` change the stored history, so always reload it
+    const history = loadHistory();
+    return {
+        ...ctx,
+        next: error ? "error" : ctx.next,
+        output: [...ctx.output, ...lines],
+        history,
+        historyIndex: history.length,
+        draft: "",
+    };
+});
+// History browsing, the index past the last command is the line being drafted
+const reduceHistoryStep = (step) => reduce((ctx, evt) => {
+    const { history } = ctx;
+    const historyIndex = Math.min(Math.max(ctx.historyIndex + step, 0), history.length);
+    return {
+        ...ctx,
+        draft: ctx.historyIndex === history.length ? evt.input : ctx.draft,
+        historyIndex,
+    };
+});
+const historyEntry = (ctx) => ctx.historyIndex < ctx.history.length ? ctx.history[ctx.historyIndex] : ctx.draft;
+const writeInput = (read) => action((ctx) => {
+    ctx.terminalInput.value = read(ctx);
+});
+// Tab completion edits the draft line, listing the candidates when ambiguous
+const reduceComplete = reduce((ctx, evt) => {
+    const { line, cursor, matches } = completeCommandLine(evt.input, evt.cursor);
+    return {
+        ...ctx,
+        draft: line,
+        cursor,
+        historyIndex: ctx.history.length,
+        output: matches.length
+            ? [...ctx.output, outputLine("completion", escapeHtml(matches.join("  ")))]
+            : ctx.output,
+    };
+});
+const writeCompletion = action((ctx) => {
+    ctx.terminalInput.value = ctx.draft;
+    ctx.terminalInput.setSelectionRange(ctx.cursor, ctx.cursor);
+});
+// Reverse search starts from the newest command and steps back on each ctrl-r
+const reduceSearch = reduce((ctx, evt) => {
+    const search = ctx.search || { query: "", index: ctx.history.length };
+    const query = evt.query ?? search.query;
+    if (ctx.search && query === search.query && evt.type !== "search")
+        return ctx;
+    const from = evt.type === "search" && ctx.search ? search.index : ctx.history.length;
+    const index = searchHistory(ctx.history, query, from);
+    return {
+        ...ctx,
+        draft: ctx.search ? ctx.draft : evt.input ?? "",
+        search: { query, index: index < 0 && ctx.search ? search.index : index },
+    };
+});
+const searchMatch = (ctx) => ctx.search && ctx.search.index >= 0 ? ctx.history[ctx.search.index] : "";
+const guardSearchMatch = guard((ctx) => !!searchMatch(ctx));
+const reduceSubmitSearch = reduce((ctx) => ({
+    ...ctx,
+    input: searchMatch(ctx),
+    search: null,
+    data: null,
+    next: null,
+    error: null,
+}));
+const reduceAcceptSearch = reduce((ctx) => ({
+    ...ctx,
+    draft: searchMatch(ctx),
+    historyIndex: ctx.history.length,
+    search: null,
+}));
+const reduceCancelSearch = reduceSetKeyValue("search", null);
+const reduceClearOutput = reduce((ctx) => ({
+    ...ctx,
+    output: resultLines(afterLastClear(ctx.data)),
+}));
+// Ctrl+C leaves the evaluating state, which aborts the command's invoke
+const reduceInterrupt = reduce((ctx) => ({
+    ...ctx,
+    data: [toResult("^C")],
+    next: null,
+    error: null,
+}));
+const clearPending = action((ctx) => {
+    ctx.store.pending = [];
+});
+const unmountConsole = action((ctx) => {
+    ctx.console && ctx.console.remove();
+});
+// The command console machine
+export const terminalMachine = createMachine("closed", {
+    closed: state(transition("toggle", "open")),
+    open: doThenElse(mountConsole, "idle", "closed"),
+    idle: state(transition("submit", "evaluating", reduceSubmit), transition("history-back", "idle", reduceHistoryStep(-1), writeInput(historyEntry)), transition("history-forward", "idle", reduceHistoryStep(1), writeInput(historyEntry)), transition("search", "searching", reduceSearch, writeInput(() => "")), transition("complete", "idle", reduceComplete, writeCompletion), transition("toggle", "closing"), transition("close", "closing")),
+    searching: state(transition("search", "searching", reduceSearch), transition("search-input", "searching", reduceSearch), transition("submit", "evaluating", guardSearchMatch, reduceSubmitSearch), transition("submit", "idle", reduceCancelSearch, writeInput(ctx => ctx.draft)), transition("accept", "idle", reduceAcceptSearch, writeInput(ctx => ctx.draft)), transition("close", "idle", reduceCancelSearch, writeInput(ctx => ctx.draft)), transition("toggle", "closing", reduceCancelSearch)),
+    evaluating: doThenElse(evaluateInput, "rendering", "rendering", {}, transition("interrupt", "rendering", reduceInterrupt)),
+    rendering: state(immediate("routing", reduceAppendOutput, clearPending)),
+    // Route on the `next` signal returned by the interpreter
+    routing: createSwitchState([
+        ["clearing", "clear-terminal"],
+        ["closing", "close-console"],
+        ["idle", "error"],
+        "idle",
+    ]),
+    clearing: state(immediate("idle", reduceClearOutput)),
+    closing: state(immediate("closed", unmountConsole, reduceSetKeyValue("console", null))),
+}, (initial) => {
+    const history = loadHistory();
+    return { ...initialTerminalContext, history, historyIndex: history.length, ...initial };
+});
+inspectMachine(terminalMachine, "terminal");
+// The console session is saved when leaving a page and restored on the next
+// one, the DOM and handlers in the context are recreated rather than saved
+const saveSession = (service) => {
+    const { state, context } = service.snapshot();
+    try {
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+            state,
+            context: { output: context.output },
+            apps: snapshotApps(),
+        }));
+    }
+    catch (e) {
+        console.warn("Could not save the console session", e);
+    }
+};
+const loadSession = () => {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        sessionStorage.removeItem(SESSION_KEY);
+        return session && Array.isArray(session.context?.output) ? session : null;
+    }
+    catch (e) {
+        return null;
+    }
+};
+// Only send events the current state can handle, the debug build throws on the rest
+const sendIfHandled = (service, event) => {
+    const type = event.type || event;
+    if (!service.machine.state.value.transitions.has(type))
+        return false;
+    service.send(event);
+    return true;
+};
+/**
+ * Interpret the terminal machine and bind the keys that drive it, the backtick
+ * toggles the console, escape closes it and enter submits the prompt. The arrow
+ * keys browse the history, ctrl-r searches it, tab completes the word and
+ * ctrl-c interrupts the running command.
+ * The console reopens on the next page as it was left, with its output and
+ * the running apps.
+ */
+export const startTerminal = (root = document.body) => {
+    const store = reactive({
+        mode: terminalMachine.current,
+        test: initialTerminalContext.test,
+        output: [],
+        pending: [],
+        search: null,
+    });
+    let service;
+    let output = null;
+    const handleKeyup = (e) => {
+        if (e.key === "Enter" && e.target.value.trim()) {
+            sendIfHandled(service, { type: "submit", input: e.target.value });
+            e.target.value = "";
+        }
+        else if (e.key === "Escape") {
+            sendIfHandled(service, "close");
+        }
+        else {
+            sendIfHandled(service, { type: "search-input", query: e.target.value });
+        }
+    };
+    const handleKeydown = (e) => {
+        const input = e.target.value;
+        if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+            e.preventDefault();
+            sendIfHandled(service, { type: e.key === "ArrowUp" ? "history-back" : "history-forward", input });
+        }
+        else if (e.ctrlKey && e.key === "r") {
+            e.preventDefault();
+            sendIfHandled(service, { type: "search", input });
+        }
+        else if (e.key === "Tab") {
+            e.preventDefault();
+            sendIfHandled(service, { type: "complete", input, cursor: e.target.selectionStart });
+        }
+        else if (e.ctrlKey && e.key === "c") {
+            // Copying still works while no command is running
+            if (sendIfHandled(service, "interrupt"))
+                e.preventDefault();
+        }
+        else if (e.ctrlKey && e.key === "g") {
+            e.preventDefault();
+            sendIfHandled(service, "close");
+        }
+        else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+            sendIfHandled(service, "accept");
+        }
+    };
+    const onChange = (s) => {
+        store.mode = s.machine.current;
+        store.search = s.context.search && { query: s.context.search.query, match: searchMatch(s.context) };
+        if (s.context.output !== output)
+            store.output = output = s.context.output;
+    };
+    const initial = { store, root, handleKeyup, handleKeydown };
+    const session = loadSession();
+    // The console is restored closed, reopening it mounts a new console element
+    service = session
+        ? interpret(terminalMachine, onChange, {
+            restore: {
+                state: "closed",
+                context: { ...terminalMachine.context(initial), output: restoreOutput(session.context.output) },
+            },
+        })
+        : interpret(terminalMachine, onChange, initial);
+    onChange(service);
+    if (session) {
+        restoreApps(session.apps);
+        if (session.state !== "closed")
+            sendIfHandled(service, "toggle");
+    }
+    window.addEventListener("pagehide", () => saveSession(service));
+    document.addEventListener("keydown", (e) => {
+        if (e.key !== TOGGLE_KEY)
+            return;
+        e.preventDefault();
+        sendIfHandled(service, "toggle");
+    });
+    return service;
+};
+//# sourceMappingURL=machine.js.map
@@ -0,0 +1,26 @@
+import { html, repeat } from "../arrow.js";
+let nextLineId = 1;
+/**
+ * A console output line, `display` is html. Every line gets a unique id used
+ * as its key when rendering the log.
+ */
+export const outputLine = (type, display, timestamp = new Date().toLocaleString()) => ({
+    id: nextLineId++,
+    type,
+    display,
+    timestamp,
+});
+/**
+ * Take back lines saved on another page, new lines are numbered after them so
+ * the keys stay unique.
+ */
+export const restoreOutput = (lines) => {
+    nextLineId = Math.max(nextLineId, ...lines.map(line => line.id + 1));
+    return lines;
+};
+export const outputLineTemplate = line => html `<li class="${line.type}">
+          <span class="timestamp">${line.timestamp}</span>
+          ${line.display}
+        </li>`;
+// Keyed by line id, so new lines are inserted without re-rendering the log
+export const renderOutput = lines => repeat(lines, line => line.id, outputLineTemplate);
@@ -0,0 +1,99 @@
+// Command line grammar:
+//   line     := pipeline ((";" | "&&" | "||") pipeline)* ";"?
+//   pipeline := command ("|" command)*
+//   command  := word+
+// Words can be "double quoted" (backslash escapes allowed), 'single quoted'
+// (taken literally) or have any character escaped with a backslash.
+const OPERATORS = [";", "&&", "||", "|"];
+const SEPARATORS = [";", "&&", "||"];
+const WHITESPACE = /\s/;
+const isOperator = (token) => token.type === "operator";
+const syntaxError = (message) => new SyntaxError(`Syntax error: ${message}`);
+/**
+ * Split a command line into word and operator tokens.
+ */
+export const tokenize = (line) => {
+    const tokens = [];
+    let word = null;
+    let quote = null;
+    const pushWord = () => {
+        if (word !== null)
+            tokens.push({ type: "word", value: word });
+        word = null;
+    };
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote)
+                quote = null;
+            else if (char === "\\" && quote === '"' && i + 1 < line.length)
+                word += line[++i];
+            else
+                word += char;
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            quote = char;
+            word = word ?? "";
+            continue;
+        }
+        if (char === "\\") {
+            if (i + 1 >= line.length)
+                throw syntaxError("unexpected end of line after \\");
+            word = (word ?? "") + line[++i];
+            continue;
+        }
+        if (WHITESPACE.test(char)) {
+            pushWord();
+            continue;
+        }
+        const operator = OPERATORS.find(op => line.startsWith(op, i));
+        if (operator) {
+            pushWord();
+            tokens.push({ type: "operator", value: operator });
+            i += operator.length - 1;
+            continue;
+        }
+        word = (word ?? "") + char;
+    }
+    if (quote)
+        throw syntaxError(`unterminated ${quote} quote`);
+    pushWord();
+    return tokens;
+};
+/**
+ * Parse a command line into a list of `{ op, pipeline }` steps, where `op` is
+ * the separator preceding the step and `pipeline` is a list of commands, each
+ * a list of words.
+ */
+export const parseCommandLine = (line) => {
+    const steps = [];
+    let op = null;
+    let pipeline = [];
+    let command = [];
+    const closeCommand = (operator) => {
+        if (!command.length)
+            throw syntaxError(`unexpected "${operator}"`);
+        pipeline.push(command);
+        command = [];
+    };
+    for (const token of tokenize(line)) {
+        if (!isOperator(token)) {
+            command.push(token.value);
+            continue;
+        }
+        closeCommand(token.value);
+        if (SEPARATORS.includes(token.value)) {
+            steps.push({ op, pipeline });
+            op = token.value;
+            pipeline = [];
+        }
+    }
+    if (command.length)
+        pipeline.push(command);
+    else if (pipeline.length || (op && op !== ";"))
+        throw syntaxError("unexpected end of line");
+    if (pipeline.length)
+        steps.push({ op, pipeline });
+    return steps;
+};
@@ -0,0 +1,137 @@
+// Full-text search over the site's pages. The index is built ahead of time by
+// scripts/search-index.mjs with `buildSearchIndex`, and queried in the
+// browser with `searchIndex`, so both tokenize text the same way.
+const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "i", "in", "is", "it",
+    "its", "my", "of", "on", "or", "that", "the", "this", "to", "was", "with",
+]);
+const TITLE_WEIGHT = 3;
+// BM25 term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX = 3;
+// Characters kept before and after the first occurrence of each term, for
+// snippets, the rest of a document's text is only indexed
+const PASSAGE_BEFORE = 80;
+const PASSAGE_AFTER = 160;
+const fold = (text) => text.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+const isTerm = (term) => term.length > 1 && !STOP_WORDS.has(term);
+/**
+ * Split text into lowercase search terms, without accents and stop words.
+ */
+export const tokenize = (text) => (fold(text).match(/[\p{L}\p{N}]+/gu) ?? [])
+    .filter(isTerm);
+const countTerms = (terms, counts = new Map(), weight = 1) => {
+    terms.forEach(term => counts.set(term, (counts.get(term) ?? 0) + weight));
+    return counts;
+};
+// The text around the start and the first occurrence of each term, with
+// overlapping windows merged and cut at word boundaries
+const passages = (text) => {
+    const collapsed = text.replace(/\s+/g, " ").trim();
+    const seen = new Set();
+    const windows = [[0, 0]];
+    for (const { index, 0: word } of collapsed.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const term = fold(word);
+        if (!isTerm(term) || seen.has(term))
+            continue;
+        seen.add(term);
+        const last = windows[windows.length - 1];
+        const [start, end] = [index - PASSAGE_BEFORE, index + word.length + PASSAGE_AFTER];
+        if (start <= last[1])
+            last[1] = Math.max(last[1], end);
+        else
+            windows.push([start, end]);
+    }
+    windows[0][1] = Math.max(windows[0][1], PASSAGE_AFTER);
+    return windows.map(([start, end]) => {
+        const from = start > 0 ? collapsed.indexOf(" ", start) + 1 : 0;
+        const to = end < collapsed.length ? collapsed.lastIndexOf(" ", end) : collapsed.length;
+        return `${from > 0 ? "…" : ""}${collapsed.slice(from, to > from ? to : end)}${to < collapsed.length ? "…" : ""}`;
+    });
+};
+/**
+ * Build an inverted index of `{ path, title, text }` documents. Each term maps
+ * to a flat list of document number and weighted frequency pairs, and the
+ * documents only keep the passages of their text around each term for
+ * snippets.
+ */
+export const buildSearchIndex = (docs) => {
+    const terms = {};
+    const indexed = docs.map(({ path, title, text }, i) => {
+        const words = tokenize(text);
+        const counts = countTerms(tokenize(title), countTerms(words), TITLE_WEIGHT);
+        counts.forEach((count, term) => {
+            if (!terms[term])
+                terms[term] = [];
+            terms[term].push(i, count);
+        });
+        return { path, title, passages: passages(text), length: words.length };
+    });
+    return { docs: indexed, terms };
+};
+// Index terms a query term matches, itself with full weight and longer words
+// starting with it with less, so "prime" finds "primes" too
+const expandTerm = (index, term) => Object.keys(index.terms)
+    .filter(candidate => candidate === term || (term.length >= MIN_PREFIX && candidate.startsWith(term)))
+    .map(candidate => [candidate, candidate === term ? 1 : PREFIX_WEIGHT]);
+/**
+ * Rank the documents matching any of the query's terms with BM25, best first.
+ * Returns `{ doc, score, terms }` for each, `terms` being the index terms that
+ * matched.
+ */
+export const searchIndex = (index, query, limit = 10) => {
+    const { docs } = index;
+    const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+    const results = new Map();
+    for (const term of new Set(tokenize(query))) {
+        for (const [candidate, weight] of expandTerm(index, term)) {
+            const postings = index.terms[candidate];
+            const frequency = postings.length / 2;
+            const idf = Math.log(1 + (docs.length - frequency + 0.5) / (frequency + 0.5));
+            for (let i = 0; i < postings.length; i += 2) {
+                const [n, count] = [postings[i], postings[i + 1]];
+                const norm = count + K1 * (1 - B + B * docs[n].length / averageLength);
+                const result = results.get(n) ?? { doc: docs[n], score: 0, terms: [] };
+                result.score += weight * idf * (count * (K1 + 1)) / norm;
+                result.terms.push(candidate);
+                results.set(n, result);
+            }
+        }
+    }
+    return [...results.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+};
+/**
+ * The passage of a document with the most of `terms`, or its start.
+ */
+export const bestPassage = (doc, terms) => {
+    const matches = (passage) => new Set(tokenize(passage).filter(term => terms.includes(term))).size;
+    return doc.passages.reduce((best, passage) => (matches(passage) > matches(best) ? passage : best));
+};
+/**
+ * Cut the text around the first match of any of `terms`, split into
+ * `{ text, match }` parts so the matches can be highlighted.
+ */
+export const snippet = (text, terms, width = 160) => {
+    const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+    const isMatch = (word) => terms.includes(fold(word));
+    const first = words.find(([word]) => isMatch(word));
+    let start = first ? Math.max(first.index - width / 3, 0) : 0;
+    let end = Math.min(start + width, text.length);
+    start = start > 0 ? text.indexOf(" ", start) + 1 : 0;
+    end = end < text.length ? text.lastIndexOf(" ", end) : end;
+    const parts = [];
+    let from = start;
+    words.filter(({ index, 0: word }) => index >= start && index + word.length <= end && isMatch(word))
+        .forEach(({ index, 0: word }) => {
+        parts.push({ text: text.slice(from, index), match: false }, { text: word, match: true });
+        from = index + word.length;
+    });
+    parts.push({ text: text.slice(from, end), match: false });
+    if (start > 0)
+        parts[0].text = `…${parts[0].text}`;
+    if (end < text.length)
+        parts[parts.length - 1].text += "…";
+    return parts.filter(part => part.text);
+};
@@ -0,0 +1,98 @@
+// Generated by scripts/site-manifest.mjs, do not edit
+export const SITE_MANIFEST = [
+    {
+        "path": "/",
+        "type": "page",
+        "title": "Home"
+    },
+    {
+        "path": "/projects/",
+        "type": "page",
+        "title": "Projects"
+    },
+    {
+        "path": "/projects/consecutive-prime-number-residue-ra/",
+        "type": "page",
+        "title": "Reconstructability Analysis with Prime Numbers"
+    },
+    {
+        "path": "/projects/ham-hero/",
+        "type": "page",
+        "title": "Ham Hero"
+    },
+    {
+        "path": "/projects/hexadecimal-diceware/",
+        "type": "page",
+        "title": "Hexadecimal Diceware"
+    },
+    {
+        "path": "/projects/mcp-nats/",
+        "type": "page",
+        "title": "mcp-nats"
+    },
+    {
+        "path": "/projects/natsrun/",
+        "type": "page",
+        "title": "NATSrun"
+    },
+    {
+        "path": "/projects/nim-aws/",
+        "type": "page",
+        "title": "NimAWS"
+    },
+    {
+        "path": "/projects/occam-nim/",
+        "type": "page",
+        "title": "occam-nim"
+    },
+    {
+        "path": "/projects/occam-ra-d3/",
+        "type": "page",
+        "title": "Reconstructability Analysis and D3"
+    },
+    {
+        "path": "/projects/personal-site/",
+        "type": "page",
+        "title": "Minimalist Website with built-in Command Console UX"
+    },
+    {
+        "path": "/projects/stapi-ts/",
+        "type": "page",
+        "title": "STAPI TS"
+    },
+    {
+        "path": "/projects/the-moonument/",
+        "type": "page",
+        "title": "The Moonument"
+    },
+    {
+        "path": "/thoughts/",
+        "type": "page",
+        "title": "Thoughts"
+    },
+    {
+        "path": "/thoughts/on-complexity-entropy-life-purpose/",
+        "type": "page",
+        "title": "On The Purpose of Life"
+    },
+    {
+        "path": "/about/",
+        "type": "page",
+        "title": "About"
+    },
+    {
+        "path": "/resume/",
+        "type": "page",
+        "title": "Resume"
+    },
+    {
+        "path": "/files/Finding-Uncertainty-Reduction-In-Consecutive-Prime-Residues.pdf",
+        "type": "file",
+        "title": "Finding Uncertainty Reduction In Consecutive Prime Residues"
+    },
+    {
+        "path": "/files/ra-prime-uncertainty.pdf",
+        "type": "file",
+        "title": "ra prime uncertainty"
+    }
+];
@@ -1,19 +1,45 @@
 import { invoke, reduce, state, transition, immediate, guard, } from "../js/robot3/machine.js";
-export const reduceWithKeys = (ck, ek) => reduce((ctx, evt) => {
+// Name the generated guards and reducers so machine diagrams can label them
+const named = (name, fn) => Object.defineProperty(fn, "name", { value: name });
+export const reduceWithKeys = (ck, ek) => reduce(named(`store ${ck}`, (ctx, evt) => {
     return {
         ...ctx,
         ...(evt.data ? evt.data : { [ck]: evt[ek] }),
         ...(evt.error ? { error: evt.error } : { error: null }),
     };
-});
-export const reduceSetKeyValue = (key, value) => reduce((ctx) => ({ ...ctx, [key]: value }));
+}));
+export const reduceSetKeyValue = (key, value) => reduce(named(`set ${key}`, (ctx) => ({ ...ctx, [key]: value })));
 // Standard Transitions
 const onRejectStoreErrorThenGo = dst => transition("error", dst, reduceWithKeys("error", "error"));
 const onResolveMergeDataThenGo = dst => transition("done", dst, reduceWithKeys("data", "data"));
-export const doThenElse = (fn, dst, err) => invoke(fn, onResolveMergeDataThenGo(dst), onRejectStoreErrorThenGo(err));
+// Reject with a TimeoutError after `ms`, aborting the signal passed on to `fn`
+const withTimeout = (fn, ms) => named(fn.name, (ctx, evt, signal) => {
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", abort);
+    let id;
+    const timeout = new Promise((resolve, reject) => {
+        id = setTimeout(() => {
+            const error = new Error(`Timed out after ${ms}ms`);
+            error.name = "TimeoutError";
+            controller.abort(error);
+            reject(error);
+        }, ms);
+    });
+    // A synchronous throw rejects too, so the timer is always cleared
+    const result = new Promise(resolve => resolve(fn(ctx, evt, controller.signal)));
+    return Promise.race([result, timeout]).finally(() => {
+        clearTimeout(id);
+        signal?.removeEventListener("abort", abort);
+    });
+});
+// Invoke `fn` and go to `dst` when it resolves or `err` when it rejects or,
+// with a `timeout` in ms, takes longer than that. Any other transitions of the
+// invoking state follow the options.
+export const doThenElse = (fn, dst, err, { timeout } = {}, ...transitions) => invoke(timeout ? withTimeout(fn, timeout) : fn, onResolveMergeDataThenGo(dst), onRejectStoreErrorThenGo(err), ...transitions);
 // Guards
-const guardNext = next => guard((ctx) => ctx.next === next);
-export const guardKeyZero = key => guard((ctx) => ctx[key] === 0);
+const guardNext = next => guard(named(`next is ${next}`, (ctx) => ctx.next === next));
+export const guardKeyZero = key => guard(named(`${key} is 0`, (ctx) => ctx[key] === 0));
 // Switch states have an array of immediate transitions with guards on the `next` context property
 export const createSwitchState = (cases) => {
     const final = cases.pop();
@@ -9,7 +9,7 @@ function unknownState(from, state) {
   throw new Error(`Cannot transition from ${from} to unknown state: ${state}`);
 }
 
-machine.d._create = function(current, states) {
+machine.d._create = function(current, states, resolveTarget = (from, to) => to in states && to) {
   if(!(current in states)) {
     throw new Error(`Initial state [${current}] is not a known state.`);
   }
@@ -17,7 +17,7 @@ machine.d._create = function(current, states) {
     let state = states[p];
     for(let [, candidates] of state.transitions) {
       for(let {to} of candidates) {
-        if(!(to in states)) {
+        if(!resolveTarget(p, to)) {
           unknownState(p, to);
         }
       }
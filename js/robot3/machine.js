@@ -42,13 +42,18 @@ function filter(Type, arr) {
 }
 
 function makeTransition(from, to, ...args) {
-  let guards = stack(filter(guardType, args).map(t => t.fn), truthy, callBoth);
-  let reducers = stack(filter(reduceType, args).map(t => t.fn), identity, callForward);
+  let guardFns = filter(guardType, args).map(t => t.fn);
+  let reducerFns = filter(reduceType, args).map(t => t.fn);
+  let guards = stack(guardFns, truthy, callBoth);
+  let reducers = stack(reducerFns, identity, callForward);
   return create(this, {
     from: valueEnumerable(from),
     to: valueEnumerable(to),
     guards: valueEnumerable(guards),
-    reducers: valueEnumerable(reducers)
+    reducers: valueEnumerable(reducers),
+    // Kept so machines can be described, see serialize.js
+    guardFns: valueEnumerable(guardFns),
+    reducerFns: valueEnumerable(reducerFns)
   });
 }
 
@@ -57,6 +62,110 @@ let immediateType = {};
 export let transition = makeTransition.bind(transitionType);
 export let immediate = makeTransition.bind(immediateType, null);
 
+// Taken `ms` after entering the state, unless the state was left before
+let afterType = {};
+export function after(ms, to, ...args) {
+  return create(makeTransition.call(afterType, null, to, ...args), { ms: valueEnumerable(ms) });
+}
+
+// Sends `event` to the service every `ms` while the state is active
+let everyType = {};
+export function every(ms, event) {
+  return create(everyType, {
+    ms: valueEnumerable(ms),
+    event: valueEnumerable(event)
+  });
+}
+
+let realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: id => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: id => clearInterval(id)
+};
+let clock = realClock;
+
+// Replace the clock timed transitions use, returning the previous one. Pass
+// nothing to go back to the real clock.
+export function useClock(newClock = realClock) {
+  let previous = clock;
+  clock = newClock;
+  return previous;
+}
+
+// A clock that only moves when `advance(ms)` is called, running every timer
+// that is due on the way in order.
+export function createVirtualClock(start = 0) {
+  let now = start;
+  let nextId = 1;
+  let timers = new Map();
+  let add = (fn, ms, repeat) => {
+    let id = nextId++;
+    timers.set(id, { at: now + Math.max(ms || 0, 0), fn, every: repeat && Math.max(ms || 0, 1) });
+    return id;
+  };
+  let remove = id => { timers.delete(id); };
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => add(fn, ms, false),
+    clearTimeout: remove,
+    setInterval: (fn, ms) => add(fn, ms, true),
+    clearInterval: remove,
+    advance(ms) {
+      let end = now + ms;
+      for(;;) {
+        let due = [...timers].filter(([, t]) => t.at <= end).sort(([, a], [, b]) => a.at - b.at)[0];
+        if(!due) break;
+        let [id, timer] = due;
+        now = timer.at;
+        if(timer.every) timer.at += timer.every;
+        else timers.delete(id);
+        timer.fn();
+      }
+      now = end;
+    }
+  };
+}
+
+// Running timers are kept per state as `{ clock, after, every }` handles.
+// Only the ones not already running start, so a state re-entering itself
+// restarts its `after` timers but keeps its `every` intervals on schedule.
+function startTimers(service, states, name) {
+  let { timers } = states[name];
+  if(!timers) return;
+  let running = service.timers.get(name) || { clock, after: [], every: [] };
+  let { clock: timerClock } = running;
+  if(!running.after.length) running.after = timers.filter(timer => afterType.isPrototypeOf(timer)).map(timer =>
+    timerClock.setTimeout(() => {
+      service.machine = transitionTo(service, service.machine, { type: 'after', ms: timer.ms }, [timer], name) || service.machine;
+      service.onChange(service);
+    }, timer.ms));
+  if(!running.every.length) running.every = timers.filter(timer => everyType.isPrototypeOf(timer)).map(timer =>
+    timerClock.setInterval(() => service.send(timer.event), timer.ms));
+  service.timers.set(name, running);
+}
+
+function stopTimers(service, name, keepIntervals) {
+  let running = service.timers.get(name);
+  if(!running) return;
+  running.after.forEach(id => running.clock.clearTimeout(id));
+  running.after = [];
+  if(keepIntervals) return;
+  running.every.forEach(id => running.clock.clearInterval(id));
+  service.timers.delete(name);
+}
+
+// Leaving a state stops its timers and aborts what it invoked, a state that
+// is re-entered by the same transition keeps its intervals
+function exitState(service, name, reentering) {
+  stopTimers(service, name, reentering);
+  if(service.invokes.has(name)) {
+    service.invokes.get(name).abort();
+    service.invokes.delete(name);
+  }
+}
+
 function enterImmediate(machine, service, event) {
   return transitionTo(service, machine, event, this.immediates) || machine;
 }
@@ -74,6 +183,9 @@ let stateType = { enter: identity };
 export function state(...args) {
   let transitions = filter(transitionType, args);
   let immediates = filter(immediateType, args);
+  let [children] = filter(nestedType, args);
+  let [regions] = filter(parallelType, args);
+  let timers = [...filter(afterType, args), ...filter(everyType, args)];
   let desc = {
     final: valueEnumerable(args.length === 0),
     transitions: valueEnumerable(transitionsToMap(transitions))
@@ -82,31 +194,191 @@ export function state(...args) {
     desc.immediates = valueEnumerable(immediates);
     desc.enter = valueEnumerable(enterImmediate);
   }
+  if(children) desc.children = valueEnumerable(children);
+  if(regions) desc.regions = valueEnumerable(regions.regions);
+  if(timers.length) desc.timers = valueEnumerable(timers);
   return create(stateType, desc);
 }
 
+// Child states of a state, named relative to it: `open.idle` for `idle`
+// nested in `open`. Entering the parent enters its initial child.
+let nestedType = {};
+export function nested(initial, states) {
+  return create(nestedType, {
+    initial: valueEnumerable(initial),
+    states: valueEnumerable(states)
+  });
+}
+
+// Regions of a state, each a `nested()` set of states, that are all active at
+// the same time while the state is.
+let parallelType = {};
+export function parallel(regions) {
+  return create(parallelType, { regions: valueEnumerable(regions) });
+}
+
+let parentOf = name => name.slice(0, Math.max(name.lastIndexOf('.'), 0));
+// Strict descendants, every state descends from the root ''
+let contains = (ancestor, name) => ancestor === '' || name.startsWith(ancestor + '.');
+
+// Flatten nested states into one map with dotted names, parents first
+function flattenStates(states, parent = '', flat = {}) {
+  for(let name in states) {
+    let full = parent ? `${parent}.${name}` : name;
+    let s = states[name];
+    flat[full] = s;
+    if(s.children) flattenStates(s.children.states, full, flat);
+    if(s.regions) {
+      let regions = {};
+      for(let region in s.regions) {
+        regions[region] = create(stateType, {
+          final: valueEnumerable(false),
+          transitions: valueEnumerable(new Map()),
+          children: valueEnumerable(s.regions[region])
+        });
+      }
+      flattenStates(regions, full, flat);
+    }
+  }
+  return flat;
+}
+
+// A transition target names a sibling of the state that owns the transition,
+// or a sibling of one of its ancestors, or is a full dotted name.
+export function resolveTarget(states, owner, to) {
+  for(let scope = parentOf(owner); ; scope = parentOf(scope)) {
+    let name = scope ? `${scope}.${to}` : to;
+    if(name in states) return name;
+    if(!scope) return undefined;
+  }
+}
+
+// A state and the initial states below it, parents first
+function enterTree(states, name) {
+  let { children, regions } = states[name];
+  if(children) return [name, ...enterTree(states, `${name}.${children.initial}`)];
+  if(regions) return [name, ...Object.keys(regions).flatMap(r => enterTree(states, `${name}.${r}`))];
+  return [name];
+}
+
+// The states entered going from `domain` down to `target`, including the
+// other regions of any parallel state on the way and the initial states
+// below the target.
+function enterPath(states, domain, target) {
+  let path = [];
+  for(let n = target; n !== domain; n = parentOf(n)) path.unshift(n);
+  let entered = [];
+  path.forEach((name, i) => {
+    if(i === path.length - 1) return entered.push(...enterTree(states, name));
+    entered.push(name);
+    let { regions } = states[name];
+    if(regions) {
+      for(let region in regions) {
+        let full = `${name}.${region}`;
+        if(full !== path[i + 1]) entered.push(...enterTree(states, full));
+      }
+    }
+  });
+  return entered;
+}
+
+let isLeaf = s => !s.children && !s.regions;
+let byDeclaration = states => {
+  let order = Object.keys(states);
+  return (a, b) => order.indexOf(a) - order.indexOf(b);
+};
+
+// The active leaves after a transition from `owner` to `target`, and the
+// states that were entered. Everything below the nearest non-parallel
+// ancestor of the owner that contains the target is exited.
+function configure(states, current, owner, target) {
+  let domain = parentOf(owner);
+  while(domain && (!contains(domain, target) || states[domain].regions)) domain = parentOf(domain);
+  let entered = enterPath(states, domain, target);
+  let leaves = current.split(',')
+    .filter(leaf => !contains(domain, leaf))
+    .concat(entered.filter(name => isLeaf(states[name])))
+    .sort(byDeclaration(states));
+  return { current: leaves.join(','), entered, domain };
+}
+
+function activeStates(machine) {
+  let active = new Set();
+  for(let leaf of machine.current.split(',')) {
+    for(let n = leaf; n; n = parentOf(n)) active.add(n);
+  }
+  return [...active].sort(byDeclaration(machine.states));
+}
+
+function isActive(machine, name) {
+  return machine.current.split(',').some(leaf => leaf === name || contains(name, leaf));
+}
+
+// Run the enter function of each entered state that is still active, with
+// the machine's `source` set to it, so immediate transitions and invoked
+// machines know which state they belong to. Timers start once a state is
+// entered and stayed in.
+function enterStates(machine, service, event, names) {
+  return names.reduce((m, name) => {
+    if(!isActive(m, name)) return m;
+    let original = m.original || m;
+    let entering = create(original, {
+      current: valueEnumerable(m.current),
+      original: { value: original },
+      source: { value: name }
+    });
+    let next = m.states[name].enter(entering, service, event);
+    if(isActive(next, name)) startTimers(service, next.states, name);
+    return next;
+  }, machine);
+}
+
+// The invoked function gets an AbortSignal as its third argument, aborted when
+// the state is left. A result that settles after that is dropped.
 let invokeFnType = {
   enter(machine2, service, event) {
-    let rn = this.fn.call(service, service.context, event);
+    let name = machine2.source;
+    let controller = new AbortController();
+    let rn = this.fn.call(service, service.context, event, controller.signal);
     if(machine.isPrototypeOf(rn))
       return create(invokeMachineType, {
         machine: valueEnumerable(rn),
         transitions: valueEnumerable(this.transitions)
       }).enter(machine2, service, event)
-    rn.then(data => service.send({ type: 'done', data }))
-      .catch(error => service.send({ type: 'error', error }));
+    service.invokes.set(name, controller);
+    let settle = result => {
+      if(controller.signal.aborted) return;
+      service.invokes.delete(name);
+      service.send(result);
+    };
+    rn.then(data => settle({ type: 'done', data }))
+      .catch(error => settle({ type: 'error', error }));
     return machine2;
   }
 };
+// Interpret an invoked machine as the child of `service`, sending `done` to
+// the parent when the child reaches a final state. Leaving the invoking
+// state stops the child.
+function interpretChild(service, name, machine, initialContext, event) {
+  let child = service.child = interpret(machine, s => {
+    service.onChange(s);
+    if(service.child == s && s.machine.state.value.final) {
+      delete service.child;
+      service.send({ type: 'done', data: s.context });
+    }
+  }, initialContext, event);
+  service.invokes.set(name, {
+    abort() {
+      child.stop();
+      if(service.child == child) delete service.child;
+    }
+  });
+  return child;
+}
+
 let invokeMachineType = {
   enter(machine, service, event) {
-    service.child = interpret(this.machine, s => {
-      service.onChange(s);
-      if(service.child == s && s.machine.state.value.final) {
-        delete service.child;
-        service.send({ type: 'done', data: s.context });
-      }
-    }, service.context, event);
+    interpretChild(service, machine.source, this.machine, service.context, event);
     if(service.child.machine.state.value.final) {
       let data = service.child.context;
       delete service.child;
@@ -128,11 +400,22 @@ export function invoke(fn, ...transitions) {
     });
 }
 
+// `current` is the active leaf state, or with parallel regions every active
+// leaf joined by commas. `value` is that leaf, or the parallel state holding
+// all of them, and `matches(name)` tells if a state or any of its children is
+// active.
 let machine = {
   get state() {
+    let leaves = this.current.split(',');
+    let name = leaves.reduce((common, leaf) => {
+      while(common && common !== leaf && !contains(common, leaf)) common = parentOf(common);
+      return common;
+    });
     return {
       name: this.current,
-      value: this.states[this.current]
+      value: this.states[name],
+      leaves,
+      matches: state => leaves.some(leaf => leaf === state || contains(state, leaf))
     };
   }
 };
@@ -143,43 +426,72 @@ export function createMachine(current, states, contextFn = empty) {
     states = current;
     current = Object.keys(states)[0];
   }
-  if(d._create) d._create(current, states);
+  let flat = flattenStates(states);
+  if(d._create) d._create(current, flat, (owner, to) => resolveTarget(flat, owner, to));
   return create(machine, {
     context: valueEnumerable(contextFn),
-    current: valueEnumerable(current),
-    states: valueEnumerable(states)
+    current: valueEnumerable(enterPath(flat, '', current).filter(name => isLeaf(flat[name])).join(',')),
+    states: valueEnumerable(flat)
   });
 }
 
-function transitionTo(service, machine, fromEvent, candidates) {
+function transitionTo(service, machine, fromEvent, candidates, owner = machine.source || machine.current) {
   let { context } = service;
   for(let { to, guards, reducers } of candidates) {  
     if(guards(context, fromEvent)) {
       service.context = reducers.call(service, context, fromEvent);
 
       let original = machine.original || machine;
+      let target = resolveTarget(original.states, owner, to);
+      let { current, entered, domain } = configure(original.states, machine.current, owner, target);
+      activeStates(machine).filter(name => contains(domain, name)).forEach(name => exitState(service, name, entered.includes(name)));
       let newMachine = create(original, {
-        current: valueEnumerable(to),
+        current: valueEnumerable(current),
         original: { value: original }
       });
 
-      if (d._onEnter) d._onEnter(machine, to, service.context, context, fromEvent);
-      let state = newMachine.state.value;
-      return state.enter(newMachine, service, fromEvent);
+      if (d._onEnter) d._onEnter(machine, target, service.context, context, fromEvent);
+      return enterStates(newMachine, service, fromEvent, entered);
     }
   }
 }
 
+// Each active leaf handles the event with its own transitions, or bubbles it
+// up to the nearest ancestor that has transitions for it. Leaves whose
+// handler is deepest go first, and once a state fires none of its ancestors
+// do, so a child's transition always wins over its parent's.
 export function send(service, event) {
   let eventName = event.type || event;
   let { machine } = service;
-  let { value: state, name: currentStateName } = machine.state;
-  
-  if(state.transitions.has(eventName)) {
-    return transitionTo(service, machine, event, state.transitions.get(eventName)) || machine;
-  } else {
-    if(d._send) d._send(eventName, currentStateName);
+  let currentStateName = machine.current;
+  let handled = false;
+  let fired = new Set();
+  let handlerDepth = leaf => {
+    for(let owner = leaf; owner; owner = parentOf(owner)) {
+      if(machine.states[owner].transitions.has(eventName)) return owner.split('.').length;
+    }
+    return 0;
+  };
+  let leaves = currentStateName.split(',')
+    .map(leaf => [leaf, handlerDepth(leaf)])
+    .sort(([, a], [, b]) => b - a)
+    .map(([leaf]) => leaf);
+
+  for(let leaf of leaves) {
+    for(let owner = leaf; owner && isActive(machine, leaf); owner = parentOf(owner)) {
+      let { transitions } = machine.states[owner];
+      if(fired.has(owner)) break;
+      if(!transitions.has(eventName)) continue;
+      handled = true;
+      let next = transitionTo(service, machine, event, transitions.get(eventName), owner);
+      if(next) {
+        machine = next;
+        for(let ancestor = owner; ancestor; ancestor = parentOf(ancestor)) fired.add(ancestor);
+        break;
+      }
+    }
   }
+  if(!handled && d._send) d._send(eventName, currentStateName);
   return machine;
 }
 
@@ -189,17 +501,55 @@ let service = {
     
     // TODO detect change
     this.onChange(this);
+  },
+  // Cancel every running timer and invoke, the service stays in its current
+  // state
+  stop() {
+    activeStates(this.machine).forEach(name => exitState(this, name));
+  },
+  // The active state, the context and the invoked child machine's snapshot.
+  // The context is taken as is, so it is only as serializable as its values.
+  snapshot() {
+    return {
+      state: this.machine.current,
+      context: this.context,
+      child: this.child ? this.child.snapshot() : null
+    };
   }
 };
 
+function restoreMachine(machine, state) {
+  let leaves = String(state).split(',');
+  if(!leaves.every(leaf => leaf in machine.states && isLeaf(machine.states[leaf])))
+    throw new Error(`Cannot restore unknown state: ${state}`);
+  return create(machine, {
+    current: valueEnumerable(leaves.sort(byDeclaration(machine.states)).join(','))
+  });
+}
+
+// Pass `{ restore: snapshot }` as the initial context to resume a service
+// from `service.snapshot()`. The states are not entered again, so invokes and
+// immediates don't run, but timers start over and an invoked child machine is
+// restored from its own snapshot.
 export function interpret(machine, onChange, initialContext, event) {
+  let restore = initialContext && initialContext.restore;
   let s = Object.create(service, {
-    machine: valueEnumerableWritable(machine),
-    context: valueEnumerableWritable(machine.context(initialContext, event)),
-    onChange: valueEnumerable(onChange)
+    machine: valueEnumerableWritable(restore ? restoreMachine(machine, restore.state) : machine),
+    context: valueEnumerableWritable(restore ? restore.context : machine.context(initialContext, event)),
+    onChange: valueEnumerable(onChange),
+    timers: { value: new Map() },
+    invokes: { value: new Map() }
   });
   s.send = s.send.bind(s);
-  s.machine = s.machine.state.value.enter(s.machine, s, event);
+  if(!restore) {
+    s.machine = enterStates(s.machine, s, event, activeStates(s.machine));
+    return s;
+  }
+  for(let name of activeStates(s.machine)) {
+    let { machine: child } = s.machine.states[name];
+    if(child && restore.child) interpretChild(s, name, child, { restore: restore.child });
+    startTimers(s, s.machine.states, name);
+  }
   return s;
 }
 
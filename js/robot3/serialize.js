@@ -0,0 +1,134 @@
+import { resolveTarget } from './machine.js';
+
+// Describe a machine as plain data, or as a Mermaid or DOT state diagram.
+// States keep their full dotted names, guards and reducers are listed by
+// function name when they have one.
+
+let names = fns => fns.map(fn => fn.name).filter(Boolean);
+let parentOf = name => name.slice(0, Math.max(name.lastIndexOf('.'), 0));
+let localName = name => name.slice(name.lastIndexOf('.') + 1);
+
+function describeTransition(states, owner, t, extra) {
+  return {
+    event: t.from,
+    target: resolveTarget(states, owner, t.to) || t.to,
+    guards: names(t.guardFns || []),
+    reducers: names(t.reducerFns || []),
+    ...extra
+  };
+}
+
+function describeState(states, name) {
+  let s = states[name];
+  let desc = { name, parent: parentOf(name) || null };
+  let transitions = [];
+  for(let [, list] of s.transitions) {
+    list.forEach(t => transitions.push(describeTransition(states, name, t)));
+  }
+  (s.immediates || []).forEach(t => transitions.push(describeTransition(states, name, t, { immediate: true })));
+  (s.timers || []).forEach(t => {
+    if(t.to !== undefined) transitions.push(describeTransition(states, name, t, { after: t.ms }));
+  });
+  let every = (s.timers || []).filter(t => t.to === undefined).map(({ ms, event }) => ({ ms, event }));
+
+  if(s.fn) desc.invoke = s.fn.name || 'anonymous';
+  else if(s.machine) desc.invoke = 'machine';
+  if(s.final) desc.final = true;
+  if(s.children) desc.initial = `${name}.${s.children.initial}`;
+  if(s.regions) desc.parallel = true;
+  if(every.length) desc.every = every;
+  desc.transitions = transitions;
+  return desc;
+}
+
+export function toJSON(machine) {
+  let { states } = machine;
+  return {
+    initial: machine.current.split(',')[0].split('.')[0],
+    states: Object.keys(states).map(name => describeState(states, name))
+  };
+}
+
+function label(t) {
+  let event = t.immediate ? '' : t.after !== undefined ? `after ${t.after}ms` : t.event;
+  let guards = t.guards.length ? `[${t.guards.join(' && ')}]` : '';
+  let reducers = t.reducers.length ? `/ ${t.reducers.join(', ')}` : '';
+  return [event, guards, reducers].filter(Boolean).join(' ');
+}
+
+let children = (desc, name) => desc.states.filter(s => s.parent === name);
+
+export function toMermaid(machine) {
+  let desc = toJSON(machine);
+  let id = name => name.replace(/\W/g, '_');
+  let lines = ['stateDiagram-v2'];
+  let write = (s, depth) => {
+    let pad = '  '.repeat(depth);
+    let inner = children(desc, s.name);
+    if(s.name !== id(s.name) || s.parent) lines.push(`${pad}state "${localName(s.name)}" as ${id(s.name)}`);
+    if(s.invoke) lines.push(`${pad}${id(s.name)}: ${localName(s.name)} (invoke ${s.invoke})`);
+    if(!inner.length) return;
+    lines.push(`${pad}state ${id(s.name)} {`);
+    if(s.initial) lines.push(`${pad}  [*] --> ${id(s.initial)}`);
+    inner.forEach((child, i) => {
+      if(s.parallel && i) lines.push(`${pad}  --`);
+      write(child, depth + 1);
+    });
+    lines.push(`${pad}}`);
+  };
+  lines.push(`  [*] --> ${id(desc.initial)}`);
+  children(desc, null).forEach(s => write(s, 1));
+  for(let s of desc.states) {
+    for(let t of s.transitions) {
+      let text = label(t);
+      lines.push(`  ${id(s.name)} --> ${id(t.target)}${text ? `: ${text}` : ''}`);
+    }
+    (s.every || []).forEach(e => lines.push(`  note right of ${id(s.name)}: every ${e.ms}ms sends ${e.event}`));
+    if(s.final) lines.push(`  ${id(s.name)} --> [*]`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Graphviz has no compound nodes, so a parent state is a cluster and edges
+// to or from it attach to its first leaf, clipped at the cluster border.
+export function toDot(machine) {
+  let desc = toJSON(machine);
+  let byName = new Map(desc.states.map(s => [s.name, s]));
+  let quote = text => `"${String(text).replace(/"/g, '\\"')}"`;
+  let cluster = name => quote(`cluster_${name}`);
+  let leaf = name => {
+    let inner = children(desc, name);
+    if(!inner.length) return name;
+    let s = byName.get(name);
+    return leaf(s.initial || inner[0].name);
+  };
+  let lines = ['digraph machine {', '  compound=true;', '  rankdir=LR;',
+    '  node [shape=box, style=rounded];', '  __start [shape=point, label=""];'];
+  let write = (s, depth) => {
+    let pad = '  '.repeat(depth);
+    let inner = children(desc, s.name);
+    if(!inner.length) {
+      let text = s.invoke ? `${localName(s.name)}\\ninvoke ${s.invoke}` : localName(s.name);
+      let shape = s.final ? ', peripheries=2' : '';
+      lines.push(`${pad}${quote(s.name)} [label=${quote(text)}${shape}];`);
+      return;
+    }
+    lines.push(`${pad}subgraph ${cluster(s.name)} {`);
+    lines.push(`${pad}  label=${quote(s.parallel ? `${localName(s.name)} (parallel)` : localName(s.name))};`);
+    inner.forEach(child => write(child, depth + 1));
+    lines.push(`${pad}}`);
+  };
+  children(desc, null).forEach(s => write(s, 1));
+  lines.push(`  __start -> ${quote(leaf(desc.initial))};`);
+  for(let s of desc.states) {
+    for(let t of s.transitions) {
+      let attrs = [`label=${quote(label(t))}`];
+      if(t.immediate) attrs.push('style=dashed');
+      if(leaf(s.name) !== s.name) attrs.push(`ltail=${cluster(s.name)}`);
+      if(leaf(t.target) !== t.target) attrs.push(`lhead=${cluster(t.target)}`);
+      lines.push(`  ${quote(leaf(s.name))} -> ${quote(leaf(t.target))} [${attrs.join(', ')}];`);
+    }
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
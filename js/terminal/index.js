@@ -1,12 +1,11 @@
-export {};
-// the terminal html template
-// const template = html`<div id="${TERMINAL_ID}">
-//   <h5>Test: ${() => store.test }</h5>
-//   <ul>
-//     ${() => terminalData$.log.map((line) => html`<li class="${line.type}">${line.display}</li>`)}
-//   </ul>
-//   <div id="terminal-prompt">
-//     <input id="${PROMPT_ID}" type="text" @keyup="${handlePromptKeys}" />
-//   </div>
-// </div>`;
-//# sourceMappingURL=index.js.map
\ No newline at end of file
+import { startTerminal } from "../command-console/machine.js";
+import { restoreBodyAttributes } from "../command-console/index.js";
+// Module scripts run once the body is parsed, so the persisted attributes are
+// restored right away rather than after the page has painted without them
+restoreBodyAttributes();
+// Boot the command console once the page is ready, opened with the backtick key
+if (document.readyState === "loading")
+    document.addEventListener("DOMContentLoaded", () => startTerminal());
+else
+    startTerminal();
+//# sourceMappingURL=index.js.map
@@ -0,0 +1,26 @@
+// Just enough HTML reading for the generated site files, the pages come from
+// our own templates so a few regular expressions do.
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+export const decode = text => text
+  .replace(/<[^>]+>/g, "")
+  .replace(/&#(x?)([\da-f]+);/gi, (match, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+  .replace(/&(\w+);/g, (match, name) => ENTITIES[name] ?? match)
+  .trim();
+
+// Top level pages are named by their <title>, the others by their article's first heading
+export const pageTitle = (html, topLevel) => {
+  const title = /<title>(?:[^|<]*\|\s*)?([^<]*)<\/title>/.exec(html);
+  const heading = /<article>\s*<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/.exec(html);
+  return decode((!topLevel && heading ? heading : title)?.[1] ?? "");
+};
+
+// The text of the page's <article> on one line, empty when it has none
+export const articleText = html => {
+  const article = /<article[^>]*>([\s\S]*?)<\/article>/.exec(html);
+  if (!article) return "";
+  return decode(article[1]
+    .replace(/<(script|style)[\s\S]*?<\/\1>/g, " ")
+    .replace(/<[^>]+>/g, " "))
+    .replace(/\s+/g, " ");
+};
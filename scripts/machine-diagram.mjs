@@ -0,0 +1,46 @@
+// Draw the command console's state machine as images/console-machine.svg,
+// shown on the personal-site project page, and keep the DOT source it was
+// drawn from in test/fixtures/console-machine.dot, so the tests fail once
+// the machine and the diagram disagree. Run with `npm run diagram` after
+// changing the machine.
+import { writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { Graphviz } from "@hpcc-js/wasm-graphviz";
+import { terminalMachine } from "../js/command-console/machine.js";
+import { toDot } from "../js/robot3/serialize.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const OUTPUT = join(ROOT, "images/console-machine.svg");
+const FIXTURE = join(ROOT, "test/fixtures/console-machine.dot");
+const FONT = "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+
+// The site's colors, the image follows the reader's color scheme on its own
+const STYLE = `
+  text { fill: #1a1a1a; font-family: ${FONT}; }
+  .node path, .node polygon, .cluster polygon { fill: none; stroke: #2d7a4f; }
+  .edge path { stroke: #666666; }
+  .edge polygon, .node ellipse { fill: #666666; stroke: #666666; }
+  .cluster text { fill: #1d5a3a; }
+  @media (prefers-color-scheme: dark) {
+    text { fill: #f0f0f0; }
+    .node path, .node polygon, .cluster polygon { stroke: #4eca7a; }
+    .edge path { stroke: #a0a0a0; }
+    .edge polygon, .node ellipse { fill: #a0a0a0; stroke: #a0a0a0; }
+    .cluster text { fill: #6eda94; }
+  }
+`;
+
+const source = toDot(terminalMachine);
+const dot = source.replace("digraph machine {", `digraph machine {
+  bgcolor=transparent;
+  fontsize=11;
+  node [fontsize=11];
+  edge [fontsize=9];`);
+const graphviz = await Graphviz.load();
+const svg = graphviz.dot(dot)
+  .replace(/<!--[^]*?-->\n/g, "")
+  .replace(/(<svg[^>]*>)/, `$1\n<style>${STYLE}</style>`);
+await writeFile(OUTPUT, svg);
+await writeFile(FIXTURE, source);
+console.log(`Wrote ${OUTPUT} and ${FIXTURE}`);
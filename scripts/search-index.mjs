@@ -0,0 +1,31 @@
+// Generate js/command-console/search-index.json, the inverted index the
+// console's `search` command loads, from the article text of every page
+// under projects/, thoughts/ and resume/. Run with
+// `node scripts/search-index.mjs` after the site is rebuilt.
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { join, relative, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { articleText, pageTitle } from "./html.mjs";
+import { buildSearchIndex } from "../js/command-console/search.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const OUTPUT = join(ROOT, "js/command-console/search-index.json");
+const SECTIONS = ["projects", "thoughts", "resume"];
+
+const pages = async dir => (await readdir(join(ROOT, dir), { recursive: true }))
+  .filter(file => file === "index.html" || file.endsWith(`${sep}index.html`))
+  .map(file => join(dir, file))
+  .sort();
+
+const docs = [];
+for (const section of SECTIONS) {
+  for (const file of await pages(section)) {
+    const html = await readFile(join(ROOT, file), "utf8");
+    const text = articleText(html);
+    const path = `/${relative(ROOT, join(ROOT, file)).split(sep).slice(0, -1).join("/")}/`;
+    if (text) docs.push({ path, title: pageTitle(html, path === `/${section}/`), text });
+  }
+}
+const index = buildSearchIndex(docs);
+await writeFile(OUTPUT, JSON.stringify(index));
+console.log(`Indexed ${docs.length} pages and ${Object.keys(index.terms).length} terms into ${OUTPUT}`);
@@ -0,0 +1,46 @@
+// Generate js/command-console/site-manifest.js, the list of pages and files the
+// console's virtual filesystem is built from. Run from anywhere with
+// `node scripts/site-manifest.mjs` after the site is rebuilt.
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { basename, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { pageTitle } from "./html.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const OUTPUT = join(ROOT, "js/command-console/site-manifest.js");
+const SECTIONS = ["projects", "thoughts"];
+const PAGES = ["about", "resume"];
+
+const page = async (path, topLevel = false) => {
+  const file = join(ROOT, path, "index.html");
+  if (!existsSync(file)) return [];
+  return [{ path, type: "page", title: pageTitle(await readFile(file, "utf8"), topLevel) }];
+};
+
+const subdirectories = async dir => (await readdir(join(ROOT, dir), { withFileTypes: true }))
+  .filter(entry => entry.isDirectory())
+  .map(entry => entry.name)
+  .sort();
+
+const pdfs = async dir => (await readdir(join(ROOT, dir)))
+  .filter(name => name.endsWith(".pdf"))
+  .sort()
+  .map(name => ({ path: `/${dir}/${name}`, type: "file", title: basename(name, ".pdf").replace(/-/g, " ") }));
+
+const buildManifest = async () => {
+  const entries = [...await page("/", true)];
+  for (const section of SECTIONS) {
+    entries.push(...await page(`/${section}/`, true));
+    for (const name of await subdirectories(section)) entries.push(...await page(`/${section}/${name}/`));
+  }
+  for (const name of PAGES) entries.push(...await page(`/${name}/`, true));
+  entries.push(...await pdfs("files"));
+  return entries;
+};
+
+const manifest = await buildManifest();
+await writeFile(OUTPUT, `// Generated by scripts/site-manifest.mjs, do not edit
+export const SITE_MANIFEST = ${JSON.stringify(manifest, null, 4)};
+`);
+console.log(`Wrote ${manifest.length} entries to ${OUTPUT}`);
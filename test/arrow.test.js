@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { batch, computed, flush, reactive, setScheduler, watch } from "../js/arrow.js";
+
+const withScheduler = (mode, fn) => () => {
+  setScheduler(mode);
+  try {
+    return fn();
+  }
+  finally {
+    setScheduler("microtask");
+  }
+};
+
+test("computed values update watchers under the sync scheduler", withScheduler("sync", () => {
+  const state = reactive({ n: 1 });
+  const double = computed(() => state.n * 2);
+  const seen = [];
+  watch(() => double.value, value => seen.push(value));
+  state.n = 2;
+  state.n = 3;
+  assert.deepEqual(seen, [2, 4, 6]);
+}));
+
+test("computed values only track their current dependencies", withScheduler("sync", () => {
+  const state = reactive({ useA: true, a: 1, b: 10 });
+  let runs = 0;
+  const picked = computed(() => (runs++, state.useA ? state.a : state.b));
+  const seen = [];
+  watch(() => picked.value, value => seen.push(value));
+  state.useA = false;
+  state.a = 2;
+  state.b = 20;
+  assert.deepEqual(seen, [1, 10, 20]);
+  assert.equal(runs, 3);
+}));
+
+test("batched changes run each watcher once", withScheduler("sync", () => {
+  const state = reactive({ a: 1, b: 2 });
+  const seen = [];
+  watch(() => state.a + state.b, value => seen.push(value));
+  batch(() => {
+    state.a = 10;
+    state.b = 20;
+  });
+  assert.deepEqual(seen, [3, 30]);
+}));
+
+test("watchers that re-queue each other forever are dropped", () => {
+  const state = reactive({ a: 0, b: 0 });
+  watch(() => state.a, () => state.b++);
+  watch(() => state.b, () => state.a++);
+  const errors = [];
+  const error = console.error;
+  console.error = (...args) => errors.push(args);
+  try {
+    state.a++;
+    flush();
+  }
+  finally {
+    console.error = error;
+  }
+  assert.equal(errors.length, 1);
+  const { a, b } = state;
+  flush();
+  assert.deepEqual([state.a, state.b], [a, b]);
+});
+
+// Record a watched value only when it differs from the last one, watchers of
+// a whole collection can also run for changes that keep their value
+const changes = seen => value => {
+  if (seen[seen.length - 1] !== value)
+    seen.push(value);
+};
+
+test("Map get and has only track the keys they read", withScheduler("sync", () => {
+  const map = reactive(new Map([["a", 1], ["b", 2]]));
+  const seenA = [];
+  const seenHasC = [];
+  watch(() => map.get("a"), value => seenA.push(value));
+  watch(() => map.has("c"), value => seenHasC.push(value));
+  map.set("b", 20);
+  map.set("a", 10);
+  map.set("a", 10);
+  map.set("c", 3);
+  map.delete("c");
+  assert.deepEqual(seenA, [1, 10]);
+  assert.deepEqual(seenHasC, [false, true, false]);
+}));
+
+test("size and iteration track every change to a Map or Set", withScheduler("sync", () => {
+  const map = reactive(new Map([["a", 1]]));
+  const sizes = [];
+  const keys = [];
+  watch(() => map.size, changes(sizes));
+  watch(() => [...map.keys()].join(), changes(keys));
+  map.set("b", 2);
+  map.set("a", 3);
+  map.delete("a");
+  map.clear();
+  assert.deepEqual(sizes, [1, 2, 1, 0]);
+  assert.deepEqual(keys, ["a", "a,b", "b", ""]);
+
+  const set = reactive(new Set(["x"]));
+  const values = [];
+  watch(() => {
+    const seen = [];
+    set.forEach(value => seen.push(value));
+    return seen.join();
+  }, changes(values));
+  set.add("y");
+  set.add("y");
+  set.delete("x");
+  assert.deepEqual(values, ["x", "x,y", "y"]);
+  assert.ok(set.has("y") && !set.has("x"));
+}));
+
+test("nested values in a Map notify watchers of the Map", withScheduler("sync", () => {
+  const state = reactive({ users: new Map([["ada", { visits: 1 }]]) });
+  const visits = [];
+  const totals = [];
+  watch(() => state.users.get("ada").visits, changes(visits));
+  watch(() => [...state.users.values()].reduce((sum, user) => sum + user.visits, 0), changes(totals));
+  state.users.get("ada").visits++;
+  state.users.set("bob", { visits: 5 });
+  state.users.get("bob").visits = 6;
+  assert.deepEqual(visits, [1, 2]);
+  assert.deepEqual(totals, [1, 2, 7, 8]);
+}));
+
+test("replacing a whole collection updates its watchers", withScheduler("sync", () => {
+  const state = reactive({ tags: new Set(["a"]) });
+  const seen = [];
+  watch(() => [...state.tags].join(), changes(seen));
+  const previous = state.tags;
+  state.tags = new Set(["b", "c"]);
+  previous.add("stale");
+  state.tags.add("d");
+  assert.deepEqual(seen, ["a", "b,c", "b,c,d"]);
+  assert.ok(!state.tags.has("stale"));
+}));
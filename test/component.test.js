@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useDom } from "./dom.js";
+
+const document = useDom();
+const { component, flush, html } = await import("../js/arrow.js");
+
+const Counter = component({
+  setup: ({ start = 0 }) => ({ count: start, clicks: 0 }),
+  template: (store, slots, props) => html`<section class="counter">
+    <h3>${slots.title ?? props.label}</h3>
+    <output>${() => store.count}</output>
+  </section>`,
+  onMount: ({ store, interval, listen, cleanup, el }) => {
+    const ticker = interval(() => store.count++, 1000);
+    listen(el, "click", () => store.clicks++);
+    cleanup(() => (store.cleanedUp = true));
+    return { stop: () => ticker.stop(), start: () => ticker.start() };
+  },
+  onUnmount: ({ store }) => (store.unmounted = true),
+});
+
+test("components mount with props and slots and unmount cleanly", t => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const root = document.createElement("div");
+  const counter = Counter({ start: 5, label: "Ticks" });
+  const hooks = counter.mount(root);
+  assert.equal(root.querySelector("h3").textContent, "Ticks");
+  assert.equal(root.querySelector("output").textContent, "5");
+  assert.deepEqual(Object.keys(hooks).sort(), ["start", "stop", "unmount"]);
+
+  t.mock.timers.tick(2000);
+  flush();
+  assert.equal(root.querySelector("output").textContent, "7");
+  hooks.stop();
+  t.mock.timers.tick(2000);
+  assert.equal(counter.store.count, 7);
+  hooks.start();
+  t.mock.timers.tick(1000);
+  assert.equal(counter.store.count, 8);
+
+  root.click();
+  assert.equal(counter.store.clicks, 1);
+
+  hooks.unmount();
+  assert.equal(root.childNodes.length, 0);
+  assert.equal(counter.store.unmounted, true);
+  assert.equal(counter.store.cleanedUp, true);
+  t.mock.timers.tick(5000);
+  root.click();
+  assert.equal(counter.store.count, 8);
+  assert.equal(counter.store.clicks, 1);
+  counter.unmount();
+});
+
+test("slots render in place of props and mounting again starts over", t => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const root = document.createElement("div");
+  const counter = Counter({}, { title: html`<em>Slotted</em>` });
+  counter.mount(root);
+  assert.equal(root.querySelector("h3 em").textContent, "Slotted");
+  counter.mount(root);
+  assert.equal(root.querySelectorAll("section").length, 1);
+  t.mock.timers.tick(1000);
+  assert.equal(counter.store.count, 1);
+  counter.unmount();
+  t.mock.timers.tick(1000);
+  assert.equal(counter.store.count, 1);
+});
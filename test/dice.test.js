@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRng, formatDice, rollDice } from "../js/command-console/apps/dice.js";
+
+// An rng that rolls the given faces, in order, on dice of `sides` sides
+const faces = (sides, ...values) => () => (values.shift() - 0.5) / sides;
+
+test("the same seed rolls the same dice", () => {
+  const first = rollDice("4d6kh3+1d20-2", createRng(42));
+  const second = rollDice("4d6kh3+1d20-2", createRng(42));
+  assert.deepEqual(first, second);
+  assert.notDeepEqual(rollDice("10d20", createRng(1)), rollDice("10d20", createRng(2)));
+});
+
+test("seeded rolls stay within the dice's sides", () => {
+  const rng = createRng(7);
+  for (let i = 0; i < 100; i++) {
+    const { terms } = rollDice("3d6+d%", rng);
+    terms.flatMap(term => term.rolls).forEach(({ value }) => {
+      assert.ok(Number.isInteger(value) && value >= 1 && value <= 100);
+    });
+    terms[0].rolls.forEach(({ value }) => assert.ok(value <= 6));
+  }
+});
+
+test("totals add and subtract terms", () => {
+  const result = rollDice("2d6 + 3 - 1d6", faces(6, 2, 5, 4));
+  assert.deepEqual(result.terms.map(({ sign, subtotal }) => [sign, subtotal]), [[1, 7], [1, 3], [-1, 4]]);
+  assert.equal(result.total, 6);
+});
+
+test("keep and drop mark the dice left out", () => {
+  const kept = rollDice("4d6kh3", faces(6, 3, 1, 6, 4));
+  assert.deepEqual(kept.terms[0].rolls, [{ value: 3 }, { value: 1, dropped: true }, { value: 6 }, { value: 4 }]);
+  assert.equal(kept.total, 13);
+  const dropped = rollDice("4d6dh1", faces(6, 3, 1, 6, 4));
+  assert.equal(dropped.total, 8);
+  assert.equal(rollDice("adv", faces(20, 4, 17)).total, 17);
+  assert.equal(rollDice("dis", faces(20, 4, 17)).total, 4);
+});
+
+test("exploding dice keep or drop the whole chain", () => {
+  // 6 explodes into 6 and 2, a chain worth 14 that must not be split up
+  const result = rollDice("4d6!kh3", faces(6, 6, 6, 2, 1, 3, 5));
+  assert.deepEqual(result.terms[0].rolls, [
+    { value: 6 },
+    { value: 6, exploded: true },
+    { value: 2, exploded: true },
+    { value: 1, dropped: true },
+    { value: 3 },
+    { value: 5 },
+  ]);
+  assert.equal(result.total, 22);
+  const low = rollDice("2d6!kl1", faces(6, 6, 1, 4));
+  assert.equal(low.total, 4);
+  assert.ok(low.terms[0].rolls.slice(0, 2).every(roll => roll.dropped));
+});
+
+test("formatDice shows exploded and dropped dice", () => {
+  const result = rollDice("3d6!dl1+2", faces(6, 6, 3, 1, 4));
+  assert.equal(formatDice(result), "[6, 3!, <s>1</s>, 4] + 2 = <b>15</b>");
+});
+
+test("invalid expressions throw", () => {
+  assert.throws(() => rollDice(""), SyntaxError);
+  assert.throws(() => rollDice("2d"), SyntaxError);
+  assert.throws(() => rollDice("1d6+"), SyntaxError);
+  assert.throws(() => rollDice("0d6"), RangeError);
+  assert.throws(() => rollDice("d1!"), RangeError);
+});
@@ -0,0 +1,20 @@
+import { JSDOM } from "jsdom";
+
+/**
+ * Expose a jsdom window's globals, like `document`, to the code under test.
+ */
+export const useDom = (markup = "<!doctype html><body></body>") => {
+  const dom = new JSDOM(markup, { url: "https://example.com/" });
+  for (const key of Object.getOwnPropertyNames(dom.window)) {
+    if (!(key in globalThis)) {
+      try {
+        globalThis[key] = dom.window[key];
+      }
+      catch (e) {
+        // read-only globals are left alone
+      }
+    }
+  }
+  Object.assign(globalThis, { window: dom.window, document: dom.window.document });
+  return dom.window.document;
+};
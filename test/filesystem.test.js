@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFileSystem, normalizePath } from "../js/command-console/filesystem.js";
+
+const manifest = [
+  { path: "/projects/", title: "Projects" },
+  { path: "/projects/natsrun/", title: "NATSrun" },
+  { path: "/thoughts/", title: "Thoughts" },
+  { path: "/thoughts/life/", title: "On Life" },
+  { path: "/resume.pdf", title: "Resume" },
+];
+
+test("paths resolve against the working directory and ~ is the root", () => {
+  assert.equal(normalizePath("../b/./c", "/a/x"), "/a/b/c");
+  assert.equal(normalizePath("~/projects", "/thoughts"), "/projects");
+  assert.equal(normalizePath("..", "/"), "/");
+});
+
+test("the working directory starts at the nearest directory", () => {
+  const fileSystem = createFileSystem(manifest, "/thoughts/life/");
+  assert.equal(fileSystem.state.cwd, "/thoughts");
+  assert.equal(fileSystem.stat("life").title, "On Life");
+  assert.equal(fileSystem.stat("projects"), null);
+});
+
+test("find and complete fall back to the root when nothing matches here", () => {
+  const fileSystem = createFileSystem(manifest, "/thoughts/");
+  assert.equal(fileSystem.find("projects").path, "/projects");
+  assert.equal(fileSystem.find("resume.pdf").href, "/resume.pdf");
+  assert.equal(fileSystem.find("life").path, "/thoughts/life");
+  assert.equal(fileSystem.find("./projects"), null);
+  assert.deepEqual(fileSystem.complete("p"), []);
+  assert.deepEqual(fileSystem.complete("p", false, true), ["projects/"]);
+  assert.deepEqual(fileSystem.complete("projects/n", false, true), ["projects/natsrun"]);
+  assert.deepEqual(fileSystem.complete("l", false, true), ["life"]);
+  assert.deepEqual(fileSystem.complete("r", true, true), []);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { flush, html, hydrate, reactive, renderToString } from "../js/arrow.js";
+import { useDom } from "./dom.js";
+
+const counter = state => html`<div class="${() => state.tone}">
+  <h2>${() => state.title}</h2>
+  <ul>${() => state.items.map(item => html`<li>${item}</li>`.key(item))}</ul>
+  <button @click="${() => state.count++}">clicked ${() => state.count} times</button>
+</div>`;
+
+// Rendered before there is any DOM, as it would be ahead of time in Node
+const markup = renderToString(counter(reactive({ tone: "calm", title: "Hello <world>", items: ["a", "b"], count: 0 })));
+
+test("renderToString renders a template without a DOM", () => {
+  assert.equal(typeof document, "undefined");
+  assert.match(markup, /<div class="calm">/);
+  assert.match(markup, /Hello &lt;world&gt;/);
+  assert.match(markup, /<li>[^]*a[^]*<\/li>[^]*<li>[^]*b[^]*<\/li>/);
+  assert.match(markup, /clicked [^]*0[^]* times/);
+  assert.doesNotMatch(markup, /@click/);
+});
+
+test("hydrate reuses the rendered nodes and attaches reactivity", () => {
+  const document = useDom();
+  const root = document.createElement("main");
+  root.innerHTML = markup;
+  document.body.appendChild(root);
+  const [div, h2, button] = ["div", "h2", "button"].map(selector => root.querySelector(selector));
+  const items = [...root.querySelectorAll("li")];
+
+  const state = reactive({ tone: "calm", title: "Hello <world>", items: ["a", "b"], count: 0 });
+  hydrate(counter(state), root);
+  assert.equal(root.querySelector("div"), div);
+  assert.equal(root.querySelector("h2"), h2);
+  assert.deepEqual([...root.querySelectorAll("li")], items);
+  assert.equal(h2.textContent, "Hello <world>");
+
+  state.title = "Goodbye";
+  state.tone = "loud";
+  state.items = ["b", "a", "c"];
+  flush();
+  assert.equal(root.querySelector("h2"), h2);
+  assert.equal(h2.textContent, "Goodbye");
+  assert.equal(div.getAttribute("class"), "loud");
+  const reordered = [...root.querySelectorAll("li")];
+  assert.deepEqual(reordered.map(li => li.textContent), ["b", "a", "c"]);
+  assert.equal(reordered[0], items[1]);
+  assert.equal(reordered[1], items[0]);
+
+  button.click();
+  button.click();
+  flush();
+  assert.equal(state.count, 2);
+  assert.equal(root.querySelector("button"), button);
+  assert.match(button.textContent, /clicked 2 times/);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useDom } from "./dom.js";
+
+const document = useDom();
+const { flush } = await import("../js/arrow.js");
+const { createMachine, interpret, reduce, state, transition } = await import("../js/robot3/machine.js");
+const { inspectMachine, startDebugging, stopDebugging } = await import("../js/command-console/inspector.js");
+
+test("the inspector overlay renders states, events and context as text", () => {
+  const payload = "<img src=x>";
+  const machine = createMachine({
+    "<i>idle</i>": state(transition("<b>go</b>", "done", reduce((ctx, { value }) => ({ ...ctx, value })))),
+    done: state(),
+  }, () => ({ value: "" }));
+  inspectMachine(machine, "test");
+  const root = document.createElement("div");
+  startDebugging(root);
+  try {
+    interpret(machine, () => {}).send({ type: "<b>go</b>", value: payload });
+    flush();
+    const entry = root.querySelector("li");
+    assert.equal(root.querySelector("img, i, b b"), null);
+    assert.equal(entry.querySelector("code").textContent, "<i>idle</i>");
+    assert.equal(entry.querySelector("b").textContent, "<b>go</b>");
+    assert.match(entry.querySelector("pre").textContent, /value: "" → "<img src=x>"/);
+  }
+  finally {
+    stopDebugging();
+  }
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCommandLine, tokenize } from "../js/command-console/parser.js";
+import { runCommandLine } from "../js/command-console/index.js";
+
+const words = line => tokenize(line).map(token => token.value);
+
+test("words are split on whitespace and operators", () => {
+  assert.deepEqual(tokenize("echo  a|b"), [
+    { type: "word", value: "echo" },
+    { type: "word", value: "a" },
+    { type: "operator", value: "|" },
+    { type: "word", value: "b" },
+  ]);
+  assert.deepEqual(words("a;b&&c||d"), ["a", ";", "b", "&&", "c", "||", "d"]);
+});
+
+test("quotes and backslashes keep spaces and operators in a word", () => {
+  assert.deepEqual(words(`say "hello world" 'a | b' c\\ d e\\;f`), ["say", "hello world", "a | b", "c d", "e;f"]);
+  assert.deepEqual(words(`say "a \\"quoted\\" word" 'no \\escapes'`), ["say", 'a "quoted" word', "no \\escapes"]);
+  assert.deepEqual(words(`say "" x"y"z`), ["say", "", "xyz"]);
+});
+
+test("separators split pipelines and pipes split commands", () => {
+  assert.deepEqual(parseCommandLine("a 1 | b ; c && d | e || f;"), [
+    { op: null, pipeline: [["a", "1"], ["b"]] },
+    { op: ";", pipeline: [["c"]] },
+    { op: "&&", pipeline: [["d"], ["e"]] },
+    { op: "||", pipeline: [["f"]] },
+  ]);
+  assert.deepEqual(parseCommandLine("   "), []);
+});
+
+test("malformed lines are syntax errors", () => {
+  for (const line of ["| a", "a |", "a &&", "a ||", "a ; ; b", "a && | b", `say "open`, "say 'open", "a \\"]) {
+    assert.throws(() => parseCommandLine(line), SyntaxError, line);
+  }
+});
+
+// Echoes its arguments, fails on "fail" and records what ran
+const interpreter = ran => function (command, ...args) {
+  ran.push([command, ...args]);
+  if (command === "fail")
+    return { message: "failed", next: "error" };
+  if (command === "later")
+    return Promise.resolve(args.join(" "));
+  if (command === "stream")
+    return (async function* () {
+      yield "one";
+      yield "two";
+    })();
+  return args.join(" ");
+};
+
+test("piped output becomes the next command's last argument", async () => {
+  const ran = [];
+  assert.deepEqual(await runCommandLine("echo a b | echo x | later y", interpreter(ran)), ["y x a b"]);
+  assert.deepEqual(ran, [["echo", "a", "b"], ["echo", "x", "a b"], ["later", "y", "x a b"]]);
+  assert.deepEqual(await runCommandLine("stream | echo", interpreter([])), ["one\ntwo"]);
+});
+
+test("&& and || run depending on the last pipeline's result", async () => {
+  const ran = [];
+  const results = await runCommandLine("fail && echo skipped || echo recovered ; echo always && echo too", interpreter(ran));
+  assert.deepEqual(ran.map(([command, ...args]) => args.join(" ") || command), ["fail", "recovered", "always", "too"]);
+  assert.equal(results.length, 4);
+  assert.deepEqual(await runCommandLine("echo a | fail | echo b", interpreter([])), [{ message: "failed", next: "error" }]);
+});
+
+test("errors thrown by a command become escaped error results", async () => {
+  const [result] = await runCommandLine("missing<b>", function (command) {
+    throw new Error(`Cannot run unknown command: ${command}`);
+  });
+  assert.equal(result.next, "error");
+  assert.equal(result.message, "Cannot run unknown command: missing&lt;b&gt;");
+});
+
+test("streamed output of the last command goes to onOutput", async () => {
+  const chunks = [];
+  const results = await runCommandLine("stream", interpreter([]), { onOutput: chunk => chunks.push(chunk) });
+  assert.deepEqual(chunks, ["one", "two"]);
+  assert.deepEqual(results, [undefined]);
+});
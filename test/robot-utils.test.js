@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMachine, interpret, state, transition } from "../js/robot3/machine.js";
+import { doThenElse } from "../js/robot-utils.js";
+
+// Resolve with the service once it settles in `done` or `failed`
+const run = fn => new Promise(resolve => {
+  const machine = createMachine({
+    loading: doThenElse(fn, "done", "failed", { timeout: 20 }),
+    done: state(),
+    failed: state(),
+  }, () => ({ data: null, error: null }));
+  interpret(machine, service => resolve(service));
+});
+
+test("doThenElse with a timeout resolves like without one", async () => {
+  const service = await run(async () => ({ answer: 42 }));
+  assert.equal(service.machine.current, "done");
+  assert.equal(service.context.answer, 42);
+});
+
+test("doThenElse times out, aborting the invoked function", async () => {
+  let aborted;
+  const service = await run((ctx, evt, signal) => new Promise(() => {
+    signal.addEventListener("abort", () => (aborted = signal.reason));
+  }));
+  assert.equal(service.machine.current, "failed");
+  assert.equal(service.context.error.name, "TimeoutError");
+  assert.equal(aborted, service.context.error);
+});
+
+test("doThenElse with a timeout fails on a synchronous throw without leaking its timer", async () => {
+  const rejections = [];
+  const onRejection = error => rejections.push(error);
+  process.on("unhandledRejection", onRejection);
+  try {
+    const service = await run(() => {
+      throw new Error("broken");
+    });
+    assert.equal(service.machine.current, "failed");
+    assert.equal(service.context.error.message, "broken");
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(rejections, []);
+  }
+  finally {
+    process.off("unhandledRejection", onRejection);
+  }
+});
+
+test("leaving the invoking state aborts the invoke and drops its late result", async () => {
+  let signal;
+  let resolve;
+  const events = [];
+  const machine = createMachine({
+    loading: doThenElse((ctx, evt, abortSignal) => {
+      signal = abortSignal;
+      return new Promise(r => (resolve = r));
+    }, "done", "failed", {}, transition("cancel", "cancelled")),
+    done: state(),
+    failed: state(),
+    cancelled: state(transition("retry", "loading")),
+  }, () => ({ data: null, error: null }));
+  const service = interpret(machine, () => events.push(service.machine.current));
+  const first = signal;
+  const resolveFirst = resolve;
+  service.send("cancel");
+  assert.equal(first.aborted, true);
+  assert.equal(service.machine.current, "cancelled");
+
+  service.send("retry");
+  assert.notEqual(signal, first);
+  assert.equal(signal.aborted, false);
+  resolveFirst({ late: true });
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(service.machine.current, "loading");
+  assert.equal(service.context.late, undefined);
+  assert.deepEqual(events, ["cancelled", "loading"]);
+
+  resolve({ fresh: true });
+  await new Promise(r => setTimeout(r, 0));
+  assert.equal(service.machine.current, "done");
+  assert.equal(service.context.fresh, true);
+});
@@ -0,0 +1,233 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { after, createMachine, createVirtualClock, every, interpret, invoke, nested, parallel, reduce, state, transition, useClock } from "../js/robot3/machine.js";
+
+// A virtual clock that also counts the intervals started on it
+const countingClock = () => {
+  const clock = createVirtualClock();
+  const counts = { intervals: 0 };
+  const setInterval = clock.setInterval;
+  clock.setInterval = (fn, ms) => (counts.intervals++, setInterval(fn, ms));
+  return { clock, counts };
+};
+
+const withClock = fn => () => {
+  const { clock, counts } = countingClock();
+  const previous = useClock(clock);
+  try {
+    return fn(clock, counts);
+  }
+  finally {
+    useClock(previous);
+  }
+};
+
+const count = reduce(ctx => ({ ...ctx, ticks: ctx.ticks + 1 }));
+
+test("every keeps its interval when a tick re-enters the state", withClock((clock, counts) => {
+  const machine = createMachine({
+    running: state(every(100, "tick"), transition("tick", "running", count), transition("pause", "paused")),
+    paused: state(transition("resume", "running")),
+  }, () => ({ ticks: 0 }));
+  const service = interpret(machine, () => {});
+  clock.advance(1050);
+  assert.equal(service.context.ticks, 10);
+  assert.equal(counts.intervals, 1);
+
+  service.send("pause");
+  clock.advance(1000);
+  assert.equal(service.context.ticks, 10);
+  service.send("resume");
+  clock.advance(250);
+  assert.equal(service.context.ticks, 12);
+  assert.equal(counts.intervals, 2);
+  service.stop();
+  clock.advance(1000);
+  assert.equal(service.context.ticks, 12);
+}));
+
+test("every keeps nested intervals across a self-transition of the parent", withClock((clock, counts) => {
+  const machine = createMachine({
+    active: state(
+      transition("refresh", "active"),
+      nested("counting", { counting: state(every(100, "tick"), transition("tick", "counting", count)) })
+    ),
+  }, () => ({ ticks: 0 }));
+  const service = interpret(machine, () => {});
+  clock.advance(150);
+  service.send("refresh");
+  clock.advance(100);
+  assert.equal(service.context.ticks, 2);
+  assert.equal(counts.intervals, 1);
+}));
+
+test("after restarts when its state re-enters itself", withClock(clock => {
+  const machine = createMachine({
+    idle: state(after(500, "asleep"), transition("poke", "idle")),
+    asleep: state(),
+  });
+  const service = interpret(machine, () => {});
+  clock.advance(400);
+  service.send("poke");
+  clock.advance(400);
+  assert.equal(service.machine.current, "idle");
+  clock.advance(100);
+  assert.equal(service.machine.current, "asleep");
+}));
+
+const log = name => reduce(ctx => ({ ...ctx, log: [...ctx.log, name] }));
+
+test("nested states are entered through their initial child with dotted names", () => {
+  const machine = createMachine({
+    closed: state(transition("open", "open")),
+    open: state(
+      transition("close", "closed"),
+      nested("idle", {
+        idle: state(transition("run", "running")),
+        running: state(transition("done", "idle")),
+      })
+    ),
+  }, () => ({ log: [] }));
+  const service = interpret(machine, () => {});
+  service.send("open");
+  assert.equal(service.machine.current, "open.idle");
+  service.send("run");
+  assert.equal(service.machine.current, "open.running");
+  const { state: current } = service.machine;
+  assert.ok(current.matches("open") && current.matches("open.running"));
+  assert.ok(!current.matches("open.idle") && !current.matches("closed"));
+  // Events the leaf can't handle bubble up to its parent
+  service.send("close");
+  assert.equal(service.machine.current, "closed");
+});
+
+test("parallel regions are all active and each handles its own events", () => {
+  const machine = createMachine({
+    editor: state(parallel({
+      mode: nested("insert", {
+        insert: state(transition("escape", "normal")),
+        normal: state(transition("i", "insert")),
+      }),
+      focus: nested("blurred", {
+        blurred: state(transition("focus", "focused")),
+        focused: state(transition("blur", "blurred")),
+      }),
+    })),
+  });
+  const service = interpret(machine, () => {});
+  assert.equal(service.machine.current, "editor.mode.insert,editor.focus.blurred");
+  service.send("focus");
+  service.send("escape");
+  assert.equal(service.machine.current, "editor.mode.normal,editor.focus.focused");
+  const { state: current } = service.machine;
+  assert.deepEqual(current.leaves, ["editor.mode.normal", "editor.focus.focused"]);
+  assert.ok(current.matches("editor.mode") && current.matches("editor.focus.focused"));
+});
+
+// `toggle` is handled by the evaluating leaf of one region and by the
+// parallel parent, with the regions declared in either order
+const toggleMachine = (modeFirst) => {
+  const mode = nested("evaluating", {
+    evaluating: state(transition("toggle", "idle", log("mode")), transition("reset", "idle", log("mode reset"))),
+    idle: state(),
+  });
+  const focus = nested("blurred", { blurred: state(transition("reset", "blurred", log("focus reset"))) });
+  return createMachine({
+    open: state(
+      transition("toggle", "closed", log("open")),
+      parallel(modeFirst ? { mode, focus } : { focus, mode })
+    ),
+    closed: state(),
+  }, () => ({ log: [] }));
+};
+
+test("a child's transition wins over its parent's whatever the region order", () => {
+  for (const modeFirst of [true, false]) {
+    const service = interpret(toggleMachine(modeFirst), () => {});
+    service.send("toggle");
+    assert.deepEqual(service.context.log, ["mode"]);
+    assert.ok(service.machine.state.matches("open.mode.idle"));
+    service.send("toggle");
+    assert.deepEqual(service.context.log, ["mode", "open"]);
+    assert.equal(service.machine.current, "closed");
+  }
+});
+
+test("leaves of sibling regions both handle the same event", () => {
+  const service = interpret(toggleMachine(true), () => {});
+  service.send("reset");
+  assert.deepEqual(service.context.log, ["mode reset", "focus reset"]);
+  assert.equal(service.machine.current, "open.mode.idle,open.focus.blurred");
+});
+
+test("a snapshot restores parallel leaves and context without entering states again", withClock(clock => {
+  let loads = 0;
+  const load = () => (loads++, new Promise(() => {}));
+  const machine = createMachine({
+    editor: state(parallel({
+      mode: nested("insert", {
+        insert: state(transition("escape", "normal")),
+        normal: state(transition("i", "insert", count)),
+      }),
+      data: nested("loading", {
+        loading: invoke(load, transition("done", "saved")),
+        saved: state(),
+      }),
+      clock: nested("ticking", { ticking: state(every(100, "tick"), transition("tick", "ticking", count)) }),
+    })),
+  }, () => ({ ticks: 0 }));
+  const service = interpret(machine, () => {});
+  service.send("escape");
+  clock.advance(250);
+  const snapshot = JSON.parse(JSON.stringify(service.snapshot()));
+  service.stop();
+  assert.deepEqual(snapshot, {
+    state: "editor.mode.normal,editor.data.loading,editor.clock.ticking",
+    context: { ticks: 2 },
+    child: null,
+  });
+  assert.equal(loads, 1);
+
+  const restored = interpret(machine, () => {}, {
+    restore: { ...snapshot, state: "editor.clock.ticking,editor.mode.normal,editor.data.loading" },
+  });
+  assert.equal(restored.machine.current, snapshot.state);
+  assert.equal(loads, 1);
+  clock.advance(100);
+  assert.equal(restored.context.ticks, 3);
+  restored.send("i");
+  assert.ok(restored.machine.state.matches("editor.mode.insert"));
+  assert.equal(restored.context.ticks, 4);
+  restored.stop();
+}));
+
+test("a snapshot restores an invoked child machine through restore.child", () => {
+  const wizard = createMachine({
+    first: state(transition("next", "second")),
+    second: state(transition("next", "finished")),
+    finished: state(),
+  }, () => ({ step: "wizard" }));
+  const machine = createMachine({
+    setup: invoke(wizard, transition("done", "ready", reduce((ctx, { data }) => ({ ...ctx, result: data.step })))),
+    ready: state(),
+  }, () => ({ result: null }));
+  const service = interpret(machine, () => {});
+  service.child.send("next");
+  const snapshot = service.snapshot();
+  assert.deepEqual(snapshot.child, { state: "second", context: { step: "wizard" }, child: null });
+  service.stop();
+
+  const restored = interpret(machine, () => {}, { restore: snapshot });
+  assert.equal(restored.machine.current, "setup");
+  assert.equal(restored.child.machine.current, "second");
+  restored.child.send("next");
+  assert.equal(restored.machine.current, "ready");
+  assert.equal(restored.context.result, "wizard");
+  assert.equal(restored.child, undefined);
+});
+
+test("restoring an unknown or composite state throws", () => {
+  const machine = createMachine({ open: state(nested("idle", { idle: state() })), closed: state() });
+  assert.throws(() => interpret(machine, () => {}, { restore: { state: "missing", context: {} } }), /Cannot restore unknown state: missing/);
+  assert.throws(() => interpret(machine, () => {}, { restore: { state: "open", context: {} } }), /Cannot restore unknown state: open/);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bestPassage, buildSearchIndex, searchIndex, snippet, tokenize } from "../js/command-console/search.js";
+
+const docs = [
+  { path: "/projects/natsrun/", title: "NATSrun", text: "A router for NATS messages, matching subjects like an HTTP router. ".repeat(10) },
+  { path: "/thoughts/life/", title: "On Life", text: "Complexity, entropy and a purpose for life. Routers are not mentioned." },
+];
+
+test("tokenize drops stop words, accents and single characters", () => {
+  assert.deepEqual(tokenize("The Réconstructability of a NATS-router"), ["reconstructability", "nats", "router"]);
+});
+
+test("the index keeps passages around each term instead of the text", () => {
+  const long = { path: "/long/", title: "Long", text: `${"filler words ".repeat(40)}a needle here, ${"more filler ".repeat(40)}` };
+  const index = buildSearchIndex([...docs, long]);
+  index.docs.forEach(doc => assert.equal(doc.text, undefined));
+  assert.equal(index.docs[1].passages.join(""), docs[1].text);
+  const [start, needle] = index.docs[2].passages;
+  assert.match(start, /^filler words .*…$/);
+  assert.match(needle, /^…(filler )?words .* a needle here, more filler .*…$/);
+  assert.ok(needle.length < 260);
+});
+
+test("searches rank title and prefix matches, and snippets come from the best passage", () => {
+  const long = { path: "/long/", title: "Long", text: `Starts with routers. ${"filler words ".repeat(40)}a needle and a router. ${"more filler ".repeat(40)}` };
+  const index = JSON.parse(JSON.stringify(buildSearchIndex([...docs, long])));
+  const [first, ...rest] = searchIndex(index, "router");
+  assert.equal(first.doc.path, "/projects/natsrun/");
+  assert.deepEqual(rest.map(({ doc }) => doc.path).sort(), ["/long/", "/thoughts/life/"]);
+  assert.deepEqual(rest.find(({ doc }) => doc.path === "/thoughts/life/").terms, ["routers"]);
+  assert.deepEqual(searchIndex(index, "nats").map(({ doc }) => doc.path), ["/projects/natsrun/"]);
+  assert.deepEqual(searchIndex(index, "zzz"), []);
+  const parts = snippet(bestPassage(first.doc, first.terms), first.terms);
+  assert.deepEqual(parts.filter(part => part.match).map(part => part.text).slice(0, 2), ["router", "router"]);
+  const [needle] = searchIndex(index, "needle router");
+  const matches = snippet(bestPassage(needle.doc, needle.terms), needle.terms).filter(part => part.match);
+  assert.deepEqual(matches.map(part => part.text), ["needle", "router"]);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { after, createMachine, every, guard, immediate, invoke, nested, parallel, reduce, state, transition } from "../js/robot3/machine.js";
+import { toDot, toJSON, toMermaid } from "../js/robot3/serialize.js";
+import { terminalMachine } from "../js/command-console/machine.js";
+
+const isReady = ctx => ctx.ready;
+const storeUser = (ctx, { data }) => ({ ...ctx, user: data });
+const loadUser = () => Promise.resolve({ name: "ada" });
+
+const machine = createMachine({
+  idle: state(transition("start", "app", guard(isReady)), after(1000, "asleep")),
+  asleep: state(transition("wake", "idle")),
+  app: state(
+    transition("quit", "done"),
+    parallel({
+      data: nested("loading", {
+        loading: invoke(loadUser, transition("done", "loaded", reduce(storeUser))),
+        loaded: state(every(500, "refresh"), transition("refresh", "loaded")),
+      }),
+      view: nested("list", {
+        list: state(transition("open", "detail")),
+        detail: state(immediate("list")),
+      }),
+    })
+  ),
+  done: state(),
+});
+
+test("toJSON describes states, transitions, timers and invokes", () => {
+  const { initial, states } = toJSON(machine);
+  assert.equal(initial, "idle");
+  const byName = Object.fromEntries(states.map(s => [s.name, s]));
+  assert.deepEqual(Object.keys(byName), [
+    "idle", "asleep", "app", "app.data", "app.data.loading", "app.data.loaded",
+    "app.view", "app.view.list", "app.view.detail", "done",
+  ]);
+  assert.deepEqual(byName.idle.transitions, [
+    { event: "start", target: "app", guards: ["isReady"], reducers: [] },
+    { event: null, target: "asleep", guards: [], reducers: [], after: 1000 },
+  ]);
+  assert.equal(byName.app.parallel, true);
+  assert.equal(byName["app.data"].initial, "app.data.loading");
+  assert.equal(byName["app.data"].parent, "app");
+  assert.equal(byName["app.data.loading"].invoke, "loadUser");
+  assert.deepEqual(byName["app.data.loading"].transitions[0].reducers, ["storeUser"]);
+  assert.deepEqual(byName["app.data.loaded"].every, [{ ms: 500, event: "refresh" }]);
+  assert.equal(byName["app.view.detail"].transitions[0].immediate, true);
+  assert.equal(byName.done.final, true);
+});
+
+test("toMermaid draws composite and parallel states with labelled edges", () => {
+  const mermaid = toMermaid(machine);
+  assert.match(mermaid, /^stateDiagram-v2\n  \[\*\] --> idle\n/);
+  assert.match(mermaid, /  state app \{\n    state "data" as app_data\n    state app_data \{\n      \[\*\] --> app_data_loading/);
+  assert.match(mermaid, /\n    --\n/);
+  assert.match(mermaid, /  idle --> app: start \[isReady\]\n/);
+  assert.match(mermaid, /  idle --> asleep: after 1000ms\n/);
+  assert.match(mermaid, /  app_data_loading --> app_data_loaded: done \/ storeUser\n/);
+  assert.match(mermaid, /  note right of app_data_loaded: every 500ms sends refresh\n/);
+  assert.match(mermaid, /  app_view_detail --> app_view_list\n/);
+  assert.match(mermaid, /  done --> \[\*\]\n/);
+});
+
+test("toDot draws parent states as clusters and attaches their edges to a leaf", () => {
+  const dot = toDot(machine);
+  assert.match(dot, /^digraph machine \{\n/);
+  assert.match(dot, /  subgraph "cluster_app" \{\n    label="app \(parallel\)";/);
+  assert.match(dot, /"app\.data\.loading" \[label="loading\\ninvoke loadUser"\];/);
+  assert.match(dot, /"done" \[label="done", peripheries=2\];/);
+  assert.match(dot, /  __start -> "idle";/);
+  assert.match(dot, /"idle" -> "app\.data\.loading" \[label="start \[isReady\]", lhead="cluster_app"\];/);
+  assert.match(dot, /"app\.data\.loading" -> "done" \[label="quit", ltail="cluster_app"\];/);
+  assert.match(dot, /"app\.view\.detail" -> "app\.view\.list" \[label="", style=dashed\];/);
+});
+
+test("the committed console diagram is drawn from the current machine", async () => {
+  const fixture = await readFile(new URL("fixtures/console-machine.dot", import.meta.url), "utf8");
+  assert.equal(toDot(terminalMachine), fixture, "The console machine changed, run `npm run diagram` to redraw it");
+});
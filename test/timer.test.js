@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useDom } from "./dom.js";
+
+const document = useDom('<!doctype html><body><div id="apps"></div></body>');
+const { createVirtualClock, useClock } = await import("../js/robot3/machine.js");
+const { runCommandLine } = await import("../js/command-console/index.js");
+
+// Timers read Date.now() for the time and tick on the machine clock
+const withTime = fn => async () => {
+  const clock = createVirtualClock();
+  const previous = useClock(clock);
+  const now = Date.now;
+  let time = 1_000_000;
+  Date.now = () => time;
+  const warn = console.warn;
+  console.warn = () => {};
+  const advance = ms => {
+    time += ms;
+    clock.advance(ms);
+  };
+  try {
+    await fn(advance);
+  }
+  finally {
+    await runCommandLine("stop all");
+    Object.assign(console, { warn });
+    Date.now = now;
+    useClock(previous);
+  }
+};
+const run = async line => (await runCommandLine(line)).map(result => result?.message ?? result);
+const display = () => [...document.querySelectorAll(".timer-display")].map(el => el.textContent);
+
+test("timers count, pause and resume", withTime(async advance => {
+  await run("start timer");
+  advance(1500);
+  assert.deepEqual(display(), ["00:00:01:50"]);
+  assert.deepEqual(await run("timer pause"), ["Paused timer [1] at 00:00:01:50"]);
+  advance(5000);
+  assert.deepEqual(display(), ["00:00:01:50"]);
+  await run("timer resume");
+  advance(500);
+  assert.deepEqual(display(), ["00:00:02:00"]);
+}));
+
+test("every timer instance renders without duplicate ids", withTime(async () => {
+  await run("start timer; start timer countdown 5s");
+  assert.equal(document.querySelectorAll(".timer").length, 2);
+  assert.equal(document.querySelectorAll("[id]").length, 1);
+}));
+
+test("a finished countdown is done and ignores pause and resume", withTime(async advance => {
+  const [started] = await run("start timer countdown 1s");
+  const id = started.match(/\[(\d+)\]/)[1];
+  advance(1200);
+  assert.match(document.querySelector(".timer").className, /\bdone\b/);
+  assert.match((await run("ps"))[0], new RegExp(`${id}\\s+timer\\s+countdown 1s\\s+done`));
+  assert.deepEqual(await run(`timer pause ${id}`), [`Timer [${id}] is done, <b>timer reset</b> starts it again`]);
+  assert.deepEqual(await run(`timer resume ${id}`), [`Timer [${id}] is done, <b>timer reset</b> starts it again`]);
+  assert.deepEqual(await run(`pause ${id}; resume ${id}`), [`timer [${id}] is done`, `timer [${id}] is done`]);
+  assert.deepEqual(await run(`timer reset ${id}`), [`Reset timer [${id}]`]);
+  advance(500);
+  assert.deepEqual(display(), ["00:00:00:50"]);
+  assert.deepEqual(await run(`pause ${id}`), [`Paused timer [${id}]`]);
+}));